@@ -0,0 +1,299 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const monitor = require('./server');
+
+// Exit codes, so cron and CI jobs can branch on the outcome of a command
+const EXIT = { OK: 0, FAILURE: 1, USAGE: 2, CHANGES: 3, SOURCE_ERRORS: 4, LOCKED: 5 };
+
+const FLAGS = ['json', 'quiet', 'once', 'help'];
+const OPTIONS = ['source', 'fail-on', 'name', 'url', 'category', 'priority', 'type', 'interval', 'selector', 'ignore', 'watch', 'certificate',
+    'since', 'until', 'status', 'limit', 'format', 'from', 'to', 'output'];
+// Options that can be given more than once; they collect into arrays
+const REPEATABLE = ['source', 'ignore', 'watch', 'certificate'];
+// Commands that only read state; they still run, without saving, while the server holds the state lock
+const READ_ONLY_COMMANDS = ['sources list', 'changes list', 'export', 'state backup'];
+
+const USAGE = `Usage: node cli.js <command> [options]
+
+Commands:
+  check --once [--source NAME|ID|URL]... [--fail-on PRIORITY|none]
+        Check the active sources (or only the given ones) once, send notifications and exit
+  sources list
+  sources add --name NAME --url URL --category ${monitor.CATEGORIES.join('|')} [--priority P] [--type T] [--interval MINUTES]
+              [--selector CSS] [--ignore REGEX]... [--watch TERM]... [--certificate CODE]...
+        --selector and --ignore form the extraction rule, --watch adds source watchlist terms and
+        --certificate adds supplier certificate codes (fsc-certificates sources)
+  sources remove NAME|ID|URL
+  changes list [--since DATE] [--until DATE] [--priority P] [--status S] [--limit N]
+  export [--format csv|json|html] [--from DATE] [--to DATE] [--output FILE]
+  state backup [FILE]
+        Write state.json to FILE; the append-only journal directory can be copied as is
+  state restore FILE
+        Replace the current state with a backup, migrating older schema versions
+
+Options:
+  --json    Print machine-readable JSON on stdout
+  --quiet   Do not print log lines on stderr
+
+Dates are YYYY-MM-DD, ISO 8601, or relative to now (24h, 7d, 2w).
+Commands that change state refuse to run while the server or another command holds the state lock
+(DATA_DIR/state.lock); sources list, changes list, export and state backup read state without it.
+
+Exit codes:
+  0  success
+  1  unexpected failure
+  2  invalid command or options
+  3  check found changes at or above --fail-on (default critical)
+  4  check could not fetch one or more sources
+  5  state is locked by the server or another command
+`;
+
+function usageError(message) {
+    return Object.assign(new Error(message), { exitCode: EXIT.USAGE });
+}
+
+function parseArgs(argv) {
+    const args = { _: [], ...Object.fromEntries(REPEATABLE.map(name => [name, []])) };
+    for (let index = 0; index < argv.length; index++) {
+        const arg = argv[index];
+        if (!arg.startsWith('--')) {
+            args._.push(arg);
+            continue;
+        }
+        const eq = arg.indexOf('=');
+        const name = arg.slice(2, eq === -1 ? undefined : eq);
+        if (FLAGS.includes(name)) {
+            args[name] = true;
+            continue;
+        }
+        if (!OPTIONS.includes(name)) throw usageError(`Unknown option --${name}`);
+        const value = eq === -1 ? argv[++index] : arg.slice(eq + 1);
+        if (value === undefined) throw usageError(`--${name} needs a value`);
+        if (REPEATABLE.includes(name)) args[name].push(value);
+        else args[name] = value;
+    }
+    return args;
+}
+
+function print(args, data, lines) {
+    if (args.json) process.stdout.write(JSON.stringify(data, null, 2) + '\n');
+    else if (lines.length > 0) process.stdout.write(lines.join('\n') + '\n');
+}
+
+function parseDate(value, endOfDay) {
+    if (!value) return null;
+    const relative = value.match(/^(\d+)([hdw])$/);
+    const date = relative
+        ? new Date(Date.now() - relative[1] * { h: 3600000, d: 86400000, w: 7 * 86400000 }[relative[2]])
+        : monitor.parseReportDate(value, endOfDay);
+    if (isNaN(date)) throw usageError(`Invalid date: ${value}`);
+    return date;
+}
+
+function findSource(ref) {
+    const needle = ref.toLowerCase();
+    const matches = monitor.getState().sources.filter(s => s.id === ref || s.url === ref || s.name.toLowerCase() === needle);
+    if (matches.length === 0) throw usageError(`No source matches "${ref}"`);
+    if (matches.length > 1) throw usageError(`"${ref}" matches ${matches.length} sources - use the source ID`);
+    return matches[0];
+}
+
+function formatChange(change) {
+    const diff = change.diffSummary ? `  +${change.diffSummary.added}/-${change.diffSummary.removed} lines` : '';
+    return `${change.timestamp}  ${change.priority.padEnd(8)} ${change.status.padEnd(12)} ${change.category.padEnd(4)} ${change.name}${diff}`;
+}
+
+async function checkCommand(args) {
+    // Scheduled checks belong to the server; the CLI only runs single passes, for cron and CI
+    if (!args.once) throw usageError('check needs --once - the server runs the recurring checks');
+    const failOn = args['fail-on'] || 'critical';
+    if (failOn !== 'none' && !monitor.PRIORITIES.includes(failOn)) {
+        throw usageError(`--fail-on must be one of ${monitor.PRIORITIES.join(', ')}, none`);
+    }
+    const sources = args.source.length > 0 ? args.source.map(findSource) : monitor.getActiveSources();
+    if (sources.length === 0) throw usageError('There are no active sources to check');
+    
+    const changes = (await monitor.runChecks(sources, 'cli')).map(monitor.summarizeChange);
+    // Without a running server, digests and notifications held for quiet hours go out with the next check
+    await monitor.sendQueuedNotifications();
+    
+    const statuses = sources.map(monitor.getSourceStatus);
+    const failed = statuses.filter(s => s.status === 'error');
+    const threshold = monitor.PRIORITIES.indexOf(failOn);
+    let exitCode = EXIT.OK;
+    if (failOn !== 'none' && changes.some(c => monitor.PRIORITIES.indexOf(c.priority) <= threshold)) exitCode = EXIT.CHANGES;
+    else if (failed.length > 0) exitCode = EXIT.SOURCE_ERRORS;
+    
+    print(args, { check: monitor.getState().checkHistory[0], exitCode, changes, sources: statuses }, [
+        `Checked ${sources.length} source(s): ${changes.length} change(s), ${failed.length} error(s)`,
+        ...changes.map(formatChange),
+        ...failed.map(s => `error  ${s.name}: ${s.lastError}`)
+    ]);
+    return exitCode;
+}
+
+function listSources(args) {
+    const sources = monitor.getState().sources.map(monitor.getSourceStatus);
+    print(args, { sources }, sources.map(s =>
+        `${s.id}  ${s.status.padEnd(8)} ${s.priority.padEnd(8)} ${s.category.padEnd(4)} ${(s.type || 'page').padEnd(16)} ${s.name}`));
+    return EXIT.OK;
+}
+
+function addSource(args) {
+    const state = monitor.getState();
+    const { source, error } = monitor.validateSource({
+        name: args.name,
+        url: args.url,
+        category: args.category,
+        priority: args.priority,
+        type: args.type,
+        intervalMinutes: args.interval === undefined ? undefined : Number(args.interval),
+        extract: args.selector || args.ignore.length > 0 ? { selector: args.selector, ignore: args.ignore.length > 0 ? args.ignore : undefined } : undefined,
+        watchlist: args.watch.length > 0 ? args.watch : undefined,
+        certificates: args.certificate.length > 0 ? args.certificate : undefined
+    });
+    if (error) throw usageError(error);
+    if (state.sources.some(s => s.id === source.id)) throw usageError('A source with this URL already exists');
+    
+    state.sources.push(source);
+    monitor.addLog('success', `➕ Source added: ${source.name}`);
+    print(args, { source }, [`Added ${source.id}  ${source.name}`]);
+    return EXIT.OK;
+}
+
+function removeSource(args) {
+    if (args._.length !== 1) throw usageError('sources remove takes one source name, ID or URL');
+    const state = monitor.getState();
+    const source = findSource(args._[0]);
+    
+    state.sources.splice(state.sources.indexOf(source), 1);
+    delete state.history[source.url];
+    delete state.snapshots[source.url];
+    delete state.schedule[source.url];
+    monitor.updateNextCheck();
+    monitor.addLog('info', `🗑️ Source removed: ${source.name}`);
+    print(args, { success: true, source }, [`Removed ${source.id}  ${source.name}`]);
+    return EXIT.OK;
+}
+
+function listChanges(args) {
+    const since = parseDate(args.since, false);
+    const until = parseDate(args.until, true);
+    const limit = args.limit === undefined ? 50 : parseInt(args.limit, 10);
+    if (!(limit > 0)) throw usageError('--limit must be a positive number');
+    if (args.priority && !monitor.PRIORITIES.includes(args.priority)) throw usageError(`--priority must be one of ${monitor.PRIORITIES.join(', ')}`);
+    if (args.status && !monitor.CHANGE_STATUSES.includes(args.status)) throw usageError(`--status must be one of ${monitor.CHANGE_STATUSES.join(', ')}`);
+    
+    const changes = monitor.getState().changes
+        .filter(c => (!since || new Date(c.timestamp) >= since) && (!until || new Date(c.timestamp) <= until))
+        .filter(c => (!args.priority || c.priority === args.priority) && (!args.status || c.status === args.status))
+        .slice(0, limit)
+        .map(monitor.summarizeChange);
+    print(args, { changes }, changes.length > 0 ? changes.map(formatChange) : ['No changes']);
+    return EXIT.OK;
+}
+
+function exportReport(args) {
+    const format = args.format || 'csv';
+    if (!['csv', 'json', 'html'].includes(format)) throw usageError('--format must be one of csv, json, html');
+    const to = parseDate(args.to, true) || new Date();
+    const from = parseDate(args.from, false) || new Date(to.getTime() - 30 * 86400000);
+    if (from > to) throw usageError('--from must be before --to');
+    
+    const report = monitor.buildReport(from, to);
+    const output = format === 'csv' ? monitor.renderReportCSV(report)
+        : format === 'html' ? monitor.renderReportHTML(report)
+        : JSON.stringify(report, null, 2) + '\n';
+    if (!args.output) {
+        process.stdout.write(output);
+        return EXIT.OK;
+    }
+    monitor.writeFileAtomic(path.resolve(args.output), output);
+    print(args, { output: path.resolve(args.output), format, period: report.period, summary: report.summary },
+        [`Wrote ${format} report for ${report.period.from} to ${report.period.to} to ${args.output}`]);
+    return EXIT.OK;
+}
+
+function backupState(args) {
+    if (args._.length > 1) throw usageError('state backup takes at most one file name');
+    const target = path.resolve(args._[0] || `eudr-monitor-backup-${new Date().toISOString().replace(/[:.]/g, '-')}.json`);
+    const state = monitor.getState();
+    monitor.writeFileAtomic(target, JSON.stringify({ ...state, schemaVersion: monitor.SCHEMA_VERSION }));
+    print(args, { backup: target, sources: state.sources.length, changes: state.changes.length }, [`Backed up state to ${target}`]);
+    return EXIT.OK;
+}
+
+function restoreState(args) {
+    if (args._.length !== 1) throw usageError('state restore takes the backup file to restore');
+    const file = path.resolve(args._[0]);
+    let backup;
+    try {
+        backup = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Cannot read backup ${file}: ${error.message}`);
+    }
+    if (!backup || typeof backup !== 'object' || !Array.isArray(backup.changes)) throw new Error(`${file} is not a monitor state backup`);
+    if ((backup.schemaVersion || 1) > monitor.SCHEMA_VERSION) {
+        throw new Error(`${file} has schema v${backup.schemaVersion}, newer than this version of the monitor (v${monitor.SCHEMA_VERSION})`);
+    }
+    
+    // Keep the state being replaced next to it, then let loadState() run any migrations the backup needs
+    monitor.acquireStateLock();
+    const statePath = monitor.getStatePath();
+    const preserved = `${statePath}.pre-restore-${Date.now()}`;
+    if (fs.existsSync(statePath)) fs.copyFileSync(statePath, preserved);
+    monitor.writeFileAtomic(statePath, JSON.stringify(backup));
+    monitor.loadState();
+    monitor.addLog('success', `♻️ State restored from ${file}`);
+    
+    const state = monitor.getState();
+    print(args, { restored: file, previous: fs.existsSync(preserved) ? preserved : null, sources: state.sources.length, changes: state.changes.length },
+        [`Restored state from ${file}` + (fs.existsSync(preserved) ? ` (previous state kept as ${preserved})` : '')]);
+    return EXIT.OK;
+}
+
+const COMMANDS = {
+    check: checkCommand,
+    'sources list': listSources,
+    'sources add': addSource,
+    'sources remove': removeSource,
+    'changes list': listChanges,
+    export: exportReport,
+    'state backup': backupState,
+    'state restore': restoreState
+};
+
+async function main(argv) {
+    const args = parseArgs(argv);
+    if (args.help || args._.length === 0) {
+        (args.help ? process.stdout : process.stderr).write(USAGE);
+        return args.help ? EXIT.OK : EXIT.USAGE;
+    }
+    const name = [`${args._[0]} ${args._[1]}`, args._[0]].find(key => COMMANDS[key]);
+    if (!name) throw usageError(`Unknown command: ${args._.slice(0, 2).join(' ')}`);
+    args._ = args._.slice(name.split(' ').length);
+    
+    // stdout is reserved for command output
+    monitor.CONFIG.LOGS.CONSOLE = args.quiet ? 'off' : process.env.LOG_CONSOLE || 'stderr';
+    // Reporting commands fall back to a read-only load when a running server owns the state
+    let readOnly = false;
+    try {
+        if (name !== 'state restore') monitor.loadState();
+    } catch (error) {
+        if (error.code !== 'ESTATELOCKED' || !READ_ONLY_COMMANDS.includes(name)) throw error;
+        readOnly = true;
+        monitor.loadState({ readOnly });
+    }
+    const exitCode = await COMMANDS[name](args);
+    if (!readOnly && !monitor.flushState()) return EXIT.FAILURE;
+    return exitCode;
+}
+
+main(process.argv.slice(2)).then(exitCode => {
+    process.exitCode = exitCode;
+}, error => {
+    process.stderr.write(`Error: ${error.message}\n`);
+    if (error.exitCode === EXIT.USAGE) process.stderr.write('Run `node cli.js --help` for usage.\n');
+    process.exitCode = error.code === 'ESTATELOCKED' ? EXIT.LOCKED : error.exitCode || EXIT.FAILURE;
+});
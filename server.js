@@ -1,296 +1,4489 @@
 const http = require('http');
 const https = require('https');
+const { AsyncLocalStorage } = require('async_hooks');
 const crypto = require('crypto');
 const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const tls = require('tls');
+const zlib = require('zlib');
 
 // Configuration
 const CONFIG = {
     PORT: process.env.PORT || 3000,
-    CHECK_INTERVAL: 3600000, // 1 hour
+    CHECK_INTERVAL: 3600000, // 1 hour, for sources without a priority interval
+    SCHEDULE: {
+        // Per-priority check intervals; a source's own `intervalMinutes` overrides these
+        INTERVALS: {
+            critical: 15 * 60000,
+            high: 30 * 60000,
+            medium: 60 * 60000,
+            low: 6 * 3600000
+        },
+        JITTER: 0.1, // +/- 10% of the interval so sources do not all fire together
+        CONCURRENCY: 3,
+        MAX_INTERVAL_MINUTES: 43200, // 30 days
+        HOST_DELAY: 2000, // politeness gap between requests to the same host
+        TICK: 30000
+    },
     WEBHOOK_URL: process.env.WEBHOOK_URL || '',
+    DASHBOARD_URL: process.env.DASHBOARD_URL || 'https://eudr-monitor-24-7.onrender.com',
+    // JSON array of { id, type: discord|slack|teams|webhook|email, url, name, mode, quietHours, timeZone, locale,
+    // digestHour, digestWeekday, ...email options }
+    NOTIFY_CHANNELS: process.env.NOTIFY_CHANNELS || '',
+    // Delivery defaults for every channel; each NOTIFY_CHANNELS entry can override them
+    NOTIFICATIONS: {
+        MODE: process.env.NOTIFY_MODE || 'immediate', // immediate, or an hourly, daily or weekly digest
+        QUIET_HOURS: process.env.NOTIFY_QUIET_HOURS || '', // e.g. 22:00-07:00; only critical changes are sent immediately then
+        TIME_ZONE: process.env.NOTIFY_TIME_ZONE || 'America/Panama',
+        LOCALE: process.env.NOTIFY_LOCALE || 'en-US',
+        DIGEST_HOUR: parseInt(process.env.NOTIFY_DIGEST_HOUR || process.env.WATCHLIST_DIGEST_HOUR || '8', 10), // 0-23 in the channel's time zone
+        DIGEST_WEEKDAY: parseInt(process.env.NOTIFY_DIGEST_WEEKDAY || '1', 10), // 0 = Sunday
+        RETRY_MINUTES: 5 // a digest or held batch that fails to send is retried after this, doubling up to six hours
+    },
+    SMTP: {
+        host: process.env.SMTP_HOST || '',
+        port: parseInt(process.env.SMTP_PORT, 10) || 587,
+        secure: process.env.SMTP_SECURE === 'true', // implicit TLS, usually port 465
+        requireTLS: process.env.SMTP_REQUIRE_TLS === 'true', // fail instead of sending in clear text when STARTTLS is missing
+        user: process.env.SMTP_USER || '',
+        pass: process.env.SMTP_PASS || '',
+        from: process.env.SMTP_FROM || process.env.SMTP_USER || '',
+        to: process.env.SMTP_TO || ''
+    },
+    MAX_DIFF_LINES: 200,
+    FETCH: {
+        TIMEOUT: 30000,
+        MAX_REDIRECTS: 5,
+        MAX_ATTEMPTS: 3,
+        RETRY_BASE_DELAY: 2000, // doubled after each failed attempt, plus up to 50% jitter
+        MAX_BYTES: 10 * 1024 * 1024,
+        USER_AGENT: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+    },
+    MAX_CHECK_HISTORY: 1000,
+    MAX_ERROR_HISTORY: 1000,
+    LOGS: {
+        LEVEL: process.env.LOG_LEVEL || 'info', // error, warning, info or debug
+        FORMAT: process.env.LOG_FORMAT || 'text', // console format; the rotating files are always JSON lines
+        CONSOLE: process.env.LOG_CONSOLE || 'stdout', // stdout, stderr or off
+        MAX_BYTES: 5 * 1024 * 1024,
+        MAX_FILES: 10
+    },
+    STORAGE: {
+        DIR: process.env.DATA_DIR || 'data',
+        LEGACY_STATE_FILE: 'state.json',
+        // Journal segments (one JSONL file per kind and month) and tracked changes older than this are pruned
+        RETENTION_DAYS: parseInt(process.env.RETENTION_DAYS, 10) || 730,
+        SNAPSHOT_RETENTION_DAYS: parseInt(process.env.SNAPSHOT_RETENTION_DAYS, 10) || 365,
+        SAVE_DELAY: 200,
+        // The process that writes state holds a lock file, refreshed while it runs; one untouched this long is stale
+        LOCK_REFRESH: 60000,
+        LOCK_STALE: 5 * 60000
+    },
+    FEED_SIZE: 50,
     
+    // Authentication is enabled as soon as a dashboard password or an API token is configured
+    DASHBOARD_USER: process.env.DASHBOARD_USER || 'admin',
+    DASHBOARD_PASSWORD: process.env.DASHBOARD_PASSWORD || '',
+    API_TOKENS: process.env.API_TOKENS || '', // comma-separated `name:token` pairs
+    PUBLIC_READ: process.env.PUBLIC_READ === 'true', // let anonymous visitors see the dashboard, status and feeds
+    CORS_ORIGINS: process.env.CORS_ORIGINS || '', // comma-separated allow-list, or `*`
+    // Behind a reverse proxy (Render sets RENDER) every request comes from the proxy; take the client from X-Forwarded-For
+    TRUST_PROXY: (process.env.TRUST_PROXY || (process.env.RENDER ? 'true' : 'false')) === 'true',
+    SESSION_TTL: 12 * 3600000,
+    
+    // Applied to every source after extraction; per-source `extract.ignore` patterns are added on top
+    DEFAULT_IGNORE: [
+        '\\b[0-9a-f]{32,}\\b'
+    ],
+    
+    // Global watchlist seeded into state on first start; plain terms match case-insensitively,
+    // `/pattern/flags` terms are regular expressions. Sources can add their own `watchlist` terms.
+    WATCHLIST: {
+        TERMS: ['due diligence statement', 'Article 12', 'CN code', 'geolocation', 'small operator'],
+        // Changes that were evaluated against a watchlist but matched nothing wait for the daily digest
+        DIGEST_UNMATCHED: process.env.WATCHLIST_DIGEST === 'true',
+        SNIPPET_RADIUS: 60,
+        MAX_MATCHES: 10
+    },
+    
+    // Alert gating for every monitor type: a detected change must persist for CONFIRMATIONS consecutive checks,
+    // alerts are held while what changed flaps or within COOLDOWN_MINUTES of the source's last alert.
+    // Sources can override `confirmations` and `cooldownMinutes`.
+    CHANGES: {
+        CONFIRMATIONS: parseInt(process.env.CHANGE_CONFIRMATIONS, 10) || 1,
+        COOLDOWN_MINUTES: parseInt(process.env.ALERT_COOLDOWN_MINUTES, 10) || 0,
+        FLAP_WINDOW: 10, // recent checks remembered per page, article, document or certificate
+        FLAP_THRESHOLD: 2, // returns to an earlier version within the window that make a source flapping
+        MAX_COOLDOWN_MINUTES: 10080, // a week
+        MAX_SUPPRESSED: 200
+    },
+    
+    // Supplier certificates tracked by the `fsc-certificates` monitor; `{code}` in the URL is replaced per lookup
+    CERTIFICATES: {
+        CODES: process.env.FSC_CERTIFICATES || '', // comma-separated, e.g. FSC-C012345,FSC-C067890
+        LOOKUP: process.env.FSC_CERT_LOOKUP || 'html',
+        LOOKUP_URL: process.env.FSC_CERT_LOOKUP_URL || 'https://search.fsc.org/en/certificate/{code}',
+        EXPIRY_WARNING_DAYS: parseInt(process.env.FSC_CERT_EXPIRY_DAYS, 10) || 60
+    },
+    
+    // Listing monitor (`documents` sources): which links count as documents and how many to download per check
+    DOCUMENTS: {
+        LINK_PATTERN: '\\.pdf($|\\?)|/documents?/(resource|download)/',
+        MAX_DOWNLOADS: parseInt(process.env.DOCUMENT_MAX_DOWNLOADS, 10) || 10
+    },
+    
+    // News listings (`news` sources): items parsed per check, and how many seen items to remember
+    NEWS: {
+        MAX_ITEMS: 100,
+        MAX_SEEN: 500
+    },
+    
+    // Compliance deadlines seeded into state on first start, then maintained through /api/deadlines
+    DEADLINES: {
+        DEFAULTS: [
+            {
+                name: 'EUDR applies to large and medium operators and traders',
+                date: '2026-12-30',
+                applicability: ['large', 'medium'],
+                category: 'EUDR',
+                url: 'https://trade.ec.europa.eu/access-to-markets/en/news/delay-until-december-2026-and-other-developments-implementation-eudr-regulation'
+            },
+            {
+                name: 'EUDR applies to micro and small operators',
+                date: '2027-06-30',
+                applicability: ['small'],
+                category: 'EUDR',
+                url: 'https://trade.ec.europa.eu/access-to-markets/en/news/delay-until-december-2026-and-other-developments-implementation-eudr-regulation'
+            }
+        ],
+        // Reminders go out through the notification channels this many days before each deadline
+        REMINDER_DAYS: (process.env.DEADLINE_REMINDER_DAYS || '90,30,7,1').split(',').map(Number).filter(days => days >= 0)
+    },
+    
+    // The EC and Council press items below are single articles, not listings, so they stay `page` sources: a news
+    // source needs a page that lists several articles. Add press listings with type: 'news' through /api/sources.
     SOURCES: {
         EUDR: [
             {
                 name: "EU Commission - EUDR Main Page",
                 url: "https://environment.ec.europa.eu/topics/forests/deforestation/regulation-deforestation-free-products_en",
-                priority: "high"
+                priority: "high",
+                extract: { selector: "main", ignore: ["^(Page )?[Ll]ast update[d]?.*$"] }
             },
             {
                 name: "EUDR 2026 Delay & Amendments",
                 url: "https://trade.ec.europa.eu/access-to-markets/en/news/delay-until-december-2026-and-other-developments-implementation-eudr-regulation",
-                priority: "critical"
+                priority: "critical",
+                extract: { selector: "main" }
             },
             {
                 name: "EU Council - EUDR Revision",
                 url: "https://www.consilium.europa.eu/en/press/press-releases/2025/12/18/deforestation-council-signs-off-targeted-revision-to-simplify-and-postpone-the-regulation/",
-                priority: "critical"
+                priority: "critical",
+                extract: { selector: "main, #main-content", ignore: ["^Share this page.*$"] }
             },
             {
                 name: "EU Green Forum - Implementation",
                 url: "https://green-forum.ec.europa.eu/nature-and-biodiversity/deforestation-regulation-implementation_en",
-                priority: "high"
+                priority: "high",
+                extract: { selector: "main", ignore: ["^(Page )?[Ll]ast update[d]?.*$"] }
             },
             {
                 name: "EUR-Lex - EUDR Legal Text",
+                type: "eurlex",
                 url: "https://eur-lex.europa.eu/eli/reg/2023/1115/oj/eng",
-                priority: "medium"
+                priority: "medium",
+                extract: { selector: "#docHtml, #document1, main" }
             },
             {
                 name: "EUDR Guidance Documents",
                 url: "https://environment.ec.europa.eu/topics/forests/deforestation_en",
-                priority: "medium"
+                priority: "medium",
+                extract: { selector: "main", ignore: ["^(Page )?[Ll]ast update[d]?.*$"] }
             }
         ],
         FSC: [
             {
                 name: "FSC International - News Centre",
+                type: "news",
                 url: "https://fsc.org/en/newscentre",
-                priority: "high"
+                priority: "high",
+                extract: { selector: "main" }
             },
             {
                 name: "FSC - Standards & Updates",
                 url: "https://fsc.org/en/newscentre/standards",
-                priority: "high"
+                priority: "high",
+                extract: { selector: "main" }
             },
             {
                 name: "FSC Connect - Document Centre",
+                type: "documents",
                 url: "https://connect.fsc.org/document-centre",
-                priority: "medium"
+                priority: "medium",
+                extract: { selector: "main" }
             },
             {
                 name: "FSC - General News",
+                type: "news",
                 url: "https://fsc.org/en/newscentre/general-news",
-                priority: "medium"
+                priority: "medium",
+                extract: { selector: "main" }
+            },
+            {
+                name: "FSC Supplier Certificates",
+                type: "fsc-certificates",
+                url: "https://search.fsc.org/en/",
+                priority: "critical",
+                intervalMinutes: 360
             }
         ]
     }
 };
 
+const CATEGORIES = Object.keys(CONFIG.SOURCES);
+const PRIORITIES = ['critical', 'high', 'medium', 'low'];
+const OPERATOR_SIZES = ['large', 'medium', 'small'];
+const DELIVERY_MODES = ['immediate', 'hourly', 'daily', 'weekly'];
+
+// Triage lifecycle for detected changes; `actioned` and `dismissed` are terminal but can be reopened
+const CHANGE_STATUSES = ['new', 'acknowledged', 'in_review', 'actioned', 'dismissed'];
+const CHANGE_TRANSITIONS = {
+    new: ['acknowledged', 'in_review', 'actioned', 'dismissed'],
+    acknowledged: ['in_review', 'actioned', 'dismissed'],
+    in_review: ['acknowledged', 'actioned', 'dismissed'],
+    actioned: ['in_review'],
+    dismissed: ['in_review']
+};
+
 let state = {
     history: {},
-    totalChecks: 0,
+    totalChecks: 0, // check runs; since per-source scheduling a run covers the sources due at the time, not every source
     changesDetected: 0,
     lastCheck: null,
     changes: [],
     logs: [],
     startTime: new Date().toISOString(),
     nextCheck: null,
-    checkHistory: []
+    checkHistory: [],
+    errorHistory: [],
+    snapshots: {},
+    schedule: {},
+    sources: null,
+    watchlist: null,
+    outbox: [],
+    deadlines: null,
+    subscriptions: null,
+    suppressed: []
 };
 
-function loadState() {
-    try {
-        if (fs.existsSync('state.json')) {
-            const loaded = JSON.parse(fs.readFileSync('state.json', 'utf8'));
+// Process-lifetime counters for /metrics, and the readiness gates for /readyz
+const metrics = { sourceErrors: new Map(), notifications: new Map() };
+const readiness = { stateLoaded: false, firstTick: false };
+
+// Server-Sent Events subscribers (dashboard tabs), the ones allowed to see log entries, and the events pushed to them
+const sseClients = new Set();
+const sseLogClients = new Set();
+
+function broadcast(type, data) {
+    const payload = `event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+    for (const client of type === 'log' ? sseLogClients : sseClients) {
+        client.write(payload);
+    }
+}
+
+// Storage: the current state lives in an atomically replaced state.json inside STORAGE.DIR; full
+// check, change, error and snapshot history is appended to monthly JSONL journal segments
+const SCHEMA_VERSION = 9;
+const storageStats = { saves: 0, saveFailures: 0, lastSaveError: null, lastSavedAt: null, journalFailures: 0, lastJournalError: null };
+let saveTimer = null;
+let stateLock = null;
+
+function getStatePath() {
+    return path.join(CONFIG.STORAGE.DIR, 'state.json');
+}
+
+function getJournalDir() {
+    return path.join(CONFIG.STORAGE.DIR, 'journal');
+}
+
+// Schema migrations, keyed by the version they upgrade from
+const MIGRATIONS = {
+    // v1: the original single state.json blob - move truncated histories into the journals
+    1(data) {
+        (data.checkHistory || []).slice().reverse().forEach(check => appendRecord('checks', check));
+        (data.errorHistory || []).slice().reverse().forEach(error => appendRecord('errors', error));
+        (data.changes || []).slice().reverse().forEach(change => appendRecord('changes', { event: 'detected', ...change, timestamp: change.timestamp }));
+        Object.entries(data.snapshots || {}).forEach(([url, text]) => appendRecord('snapshots', {
+            timestamp: (data.history && data.history[url] && data.history[url].lastChecked) || new Date().toISOString(),
+            url,
+            hash: data.history && data.history[url] ? data.history[url].hash : null,
+            text
+        }));
+        return data;
+    },
+    // v2: EUR-Lex documents get the article-level monitor. Both types hash the page the same way, so the stored
+    // baseline stays valid and the next change is described section by section
+    2(data) {
+        (data.sources || []).forEach(source => {
+            if (!source.type && /(^|\.)eur-lex\.europa\.eu$/.test(new URL(source.url).hostname)) source.type = 'eurlex';
+        });
+        return data;
+    },
+    // v3: the FSC Document Centre is tracked document by document
+    3(data) {
+        (data.sources || []).forEach(source => {
+            if (!source.type && /^https:\/\/connect\.fsc\.org\/document-centre/.test(source.url)) source.type = 'documents';
+        });
+        return data;
+    },
+    // v4: FSC news listings report one change per article
+    4(data) {
+        (data.sources || []).forEach(source => {
+            if (!source.type && /^https:\/\/fsc\.org\/en\/newscentre(\/general-news)?$/.test(source.url)) source.type = 'news';
+        });
+        return data;
+    },
+    // v5: the global watchlist digest queue becomes a daily outbox bucket for each configured channel
+    5(data) {
+        const ids = data.digestQueue || [];
+        data.outbox = ids.length === 0 ? [] : getNotificationChannels().map(channel => ({
+            channel: channel.id,
+            to: null,
+            reason: 'daily',
+            dueAt: data.nextDigest || new Date().toISOString(),
+            subscriptions: [],
+            items: ids.map(id => ({ id }))
+        }));
+        delete data.digestQueue;
+        delete data.nextDigest;
+        return data;
+    },
+    // v6: defaults are only seeded on first start, so registries created before the certificate monitor get it here
+    6(data) {
+        if (Array.isArray(data.sources) && !data.sources.some(source => source.type === 'fsc-certificates')) {
+            data.sources.push(...getDefaultSources().filter(source => source.type === 'fsc-certificates'));
+        }
+        return data;
+    },
+    // v7: alert gating moves from page histories into a gate for every source. A page change still awaiting
+    // confirmation is detected again, as the old fields kept the baseline it started from
+    7(data) {
+        Object.values(data.history || {}).forEach(entry => {
+            if (entry.lastAlertAt) entry.gate = { subjects: {}, flapping: false, lastAlertAt: entry.lastAlertAt };
+            ['observedHashes', 'baselineHashes', 'pending', 'flapping', 'lastAlertAt'].forEach(key => delete entry[key]);
+        });
+        return data;
+    },
+    // v8: tracked changes keep their diff counts only, the diffs themselves are in the journal's detected records
+    8(data) {
+        data.changes = (data.changes || []).map(summarizeChange);
+        return data;
+    }
+};
+
+// `readOnly` loads without taking the state lock, for commands that only report on state another process may own;
+// they must not save
+function loadState({ readOnly = false } = {}) {
+    ensureStorageDir();
+    if (!readOnly) acquireStateLock();
+    const statePath = getStatePath();
+    let source = null;
+    
+    if (fs.existsSync(statePath)) {
+        source = statePath;
+    } else if (fs.existsSync(CONFIG.STORAGE.LEGACY_STATE_FILE)) {
+        source = CONFIG.STORAGE.LEGACY_STATE_FILE;
+    }
+    
+    if (source) {
+        let loaded;
+        try {
+            loaded = JSON.parse(fs.readFileSync(source, 'utf8'));
+        } catch (error) {
+            // Keep the unreadable file for inspection instead of overwriting it on the next save
+            const preserved = `${source}.corrupt-${Date.now()}`;
+            try {
+                fs.renameSync(source, preserved);
+                addLog('error', `State file ${source} is unreadable (${error.message}) - moved to ${preserved}, starting fresh`);
+            } catch (renameError) {
+                addLog('error', `State file ${source} is unreadable (${error.message}) and could not be moved aside (${renameError.message}) - starting fresh`);
+            }
+        }
+        
+        if (loaded) {
+            let version = loaded.schemaVersion || 1;
+            while (version < SCHEMA_VERSION) {
+                addLog('info', `Migrating state schema v${version} → v${version + 1}`);
+                loaded = MIGRATIONS[version](loaded);
+                version++;
+            }
+            loaded.schemaVersion = SCHEMA_VERSION;
+            
             state = { ...state, ...loaded, startTime: state.startTime };
+            state.snapshots = state.snapshots || {};
+            state.errorHistory = state.errorHistory || [];
+            state.schedule = state.schedule || {};
+            state.outbox = state.outbox || [];
+            state.suppressed = state.suppressed || [];
+            state.changes.forEach(c => {
+                if (!c.id) c.id = createChangeId();
+                if (!c.status) c.status = c.new ? 'new' : 'acknowledged';
+                if (c.assignee === undefined) c.assignee = null;
+                c.notes = c.notes || [];
+                c.statusHistory = c.statusHistory || [];
+            });
             addLog('success', `Restored monitoring data - ${state.totalChecks} checks performed`);
+            if (source !== statePath && !readOnly) {
+                writeFileAtomic(statePath, JSON.stringify(state));
+                addLog('success', `Migrated ${source} into ${statePath}`);
+            }
         }
-    } catch (error) {
+    } else {
         addLog('info', 'Starting fresh monitoring session');
     }
+    
+    if (!Array.isArray(state.sources)) {
+        state.sources = getDefaultSources();
+    }
+    if (!Array.isArray(state.watchlist)) {
+        state.watchlist = [...CONFIG.WATCHLIST.TERMS];
+    }
+    if (!Array.isArray(state.deadlines)) {
+        state.deadlines = CONFIG.DEADLINES.DEFAULTS.map(deadline => validateDeadline(deadline).deadline);
+    }
+    if (!Array.isArray(state.subscriptions)) {
+        state.subscriptions = [];
+    }
+    if (!readOnly) {
+        pruneJournal();
+        pruneChanges();
+    }
+}
+
+// Only one process may write state at a time: the server and a CLI command would otherwise overwrite each
+// other's changes. A lock left behind by a process that is gone, or not refreshed within LOCK_STALE, is taken over.
+function acquireStateLock() {
+    if (stateLock) return;
+    fs.mkdirSync(CONFIG.STORAGE.DIR, { recursive: true });
+    const lockPath = path.join(CONFIG.STORAGE.DIR, 'state.lock');
+    const owner = {
+        pid: process.pid,
+        host: os.hostname(),
+        command: [path.basename(process.argv[1] || 'node'), ...process.argv.slice(2)].join(' '),
+        since: new Date().toISOString()
+    };
+    
+    for (let attempt = 1; attempt <= 2; attempt++) {
+        try {
+            fs.writeFileSync(lockPath, JSON.stringify(owner), { flag: 'wx' });
+            const timer = setInterval(() => {
+                const now = new Date();
+                try {
+                    fs.utimesSync(lockPath, now, now);
+                } catch (error) {
+                    addLog('error', `Failed to refresh state lock: ${error.message}`);
+                }
+            }, CONFIG.STORAGE.LOCK_REFRESH);
+            timer.unref();
+            stateLock = { path: lockPath, owner, timer };
+            process.on('exit', releaseStateLock);
+            return;
+        } catch (error) {
+            if (error.code !== 'EEXIST' || attempt === 2) throw error;
+        }
+        
+        const holder = readLockHolder(lockPath);
+        if (holder && !isLockStale(lockPath, holder)) {
+            throw Object.assign(new Error(`State in ${CONFIG.STORAGE.DIR} is in use by "${holder.command}" (pid ${holder.pid} on ${holder.host} since ${holder.since})`), {
+                code: 'ESTATELOCKED',
+                holder
+            });
+        }
+        addLog('warning', `Taking over stale state lock${holder ? ` of "${holder.command}" (pid ${holder.pid} on ${holder.host})` : ''}`);
+        try {
+            fs.unlinkSync(lockPath);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+    }
+}
+
+function releaseStateLock() {
+    if (!stateLock) return;
+    clearInterval(stateLock.timer);
+    const holder = readLockHolder(stateLock.path);
+    if (holder && holder.pid === stateLock.owner.pid && holder.since === stateLock.owner.since) {
+        try {
+            fs.unlinkSync(stateLock.path);
+        } catch (error) {
+            // Already gone
+        }
+    }
+    stateLock = null;
+}
+
+function readLockHolder(lockPath) {
+    try {
+        return JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+    } catch (error) {
+        return null;
+    }
+}
+
+function isLockStale(lockPath, holder) {
+    let touched = 0;
+    try {
+        touched = fs.statSync(lockPath).mtimeMs;
+    } catch (error) {
+        return true;
+    }
+    if (Date.now() - touched > CONFIG.STORAGE.LOCK_STALE) return true;
+    if (holder.host !== os.hostname()) return false;
+    // Same host: a restarted container can reuse our pid, otherwise ask whether the process still exists
+    if (holder.pid === process.pid) return true;
+    try {
+        process.kill(holder.pid, 0);
+        return false;
+    } catch (error) {
+        return error.code !== 'EPERM';
+    }
+}
+
+function ensureStorageDir() {
+    fs.mkdirSync(getJournalDir(), { recursive: true });
+}
+
+// Coalesces bursts of updates into one write; flushState() writes immediately
+function saveState() {
+    if (saveTimer) return;
+    saveTimer = setTimeout(() => {
+        saveTimer = null;
+        flushState();
+    }, CONFIG.STORAGE.SAVE_DELAY);
+}
+
+function flushState() {
+    if (saveTimer) {
+        clearTimeout(saveTimer);
+        saveTimer = null;
+    }
+    try {
+        writeFileAtomic(getStatePath(), JSON.stringify({ ...state, schemaVersion: SCHEMA_VERSION }));
+        storageStats.saves++;
+        storageStats.lastSavedAt = new Date().toISOString();
+        return true;
+    } catch (error) {
+        storageStats.saveFailures++;
+        storageStats.lastSaveError = error.message;
+        addLog('error', `Failed to save state: ${error.message}`);
+        return false;
+    }
+}
+
+// Write to a temporary file, fsync it, then rename over the target so readers never see a partial file
+function writeFileAtomic(target, data) {
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    const temp = `${target}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    const fd = fs.openSync(temp, 'w');
+    try {
+        fs.writeSync(fd, data);
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+    try {
+        fs.renameSync(temp, target);
+    } catch (error) {
+        fs.unlinkSync(temp);
+        throw error;
+    }
+}
+
+function appendRecord(kind, record) {
+    const timestamp = record.timestamp || new Date().toISOString();
+    const segment = path.join(getJournalDir(), `${kind}-${timestamp.slice(0, 7)}.jsonl`);
+    try {
+        fs.mkdirSync(getJournalDir(), { recursive: true });
+        fs.appendFileSync(segment, JSON.stringify({ ...record, timestamp }) + '\n');
+    } catch (error) {
+        storageStats.journalFailures++;
+        storageStats.lastJournalError = error.message;
+        addLog('error', `Failed to append ${kind} record: ${error.message}`);
+    }
+}
+
+// Reads journal records of one kind within [since, until], oldest first; torn trailing lines are skipped
+function readRecords(kind, { since = null, until = null, filter = null } = {}) {
+    const records = [];
+    for (const segment of listSegments(kind, since, until)) {
+        for (const line of fs.readFileSync(segment, 'utf8').split('\n')) {
+            const record = parseRecord(line, since, until, filter);
+            if (record) records.push(record);
+        }
+    }
+    return records;
+}
+
+// Streaming variant for large journals (snapshot segments hold full page texts): calls onRecord for each
+// match without loading whole segments or blocking the event loop. Lines lacking `contains` are not parsed.
+async function scanRecords(kind, { since = null, until = null, contains = null, filter = null } = {}, onRecord) {
+    for (const segment of listSegments(kind, since, until)) {
+        const lines = readline.createInterface({ input: fs.createReadStream(segment, 'utf8'), crlfDelay: Infinity });
+        for await (const line of lines) {
+            if (contains && !line.includes(contains)) continue;
+            const record = parseRecord(line, since, until, filter);
+            if (record) onRecord(record);
+        }
+    }
+}
+
+function listSegments(kind, since, until) {
+    const dir = getJournalDir();
+    if (!fs.existsSync(dir)) return [];
+    const fromMonth = since ? since.toISOString().slice(0, 7) : '0000-00';
+    const toMonth = until ? until.toISOString().slice(0, 7) : '9999-99';
+    
+    return fs.readdirSync(dir)
+        .filter(name => name.startsWith(`${kind}-`) && name.endsWith('.jsonl'))
+        .filter(name => {
+            const month = name.slice(kind.length + 1, kind.length + 8);
+            return month >= fromMonth && month <= toMonth;
+        })
+        .sort()
+        .map(name => path.join(dir, name));
+}
+
+function parseRecord(line, since, until, filter) {
+    if (!line) return null;
+    let record;
+    try {
+        record = JSON.parse(line);
+    } catch (error) {
+        return null;
+    }
+    const time = new Date(record.timestamp);
+    if (since && time < since) return null;
+    if (until && time > until) return null;
+    if (filter && !filter(record)) return null;
+    return record;
+}
+
+function pruneJournal() {
+    const dir = getJournalDir();
+    if (!fs.existsSync(dir)) return;
+    const now = Date.now();
+    
+    for (const name of fs.readdirSync(dir)) {
+        const match = name.match(/^([a-z]+)-(\d{4}-\d{2})\.jsonl$/);
+        if (!match) continue;
+        const days = match[1] === 'snapshots' ? CONFIG.STORAGE.SNAPSHOT_RETENTION_DAYS : CONFIG.STORAGE.RETENTION_DAYS;
+        // A monthly segment expires once its last day is older than the retention window
+        const [year, month] = match[2].split('-').map(Number);
+        const segmentEnd = Date.UTC(year, month, 1);
+        if (now - segmentEnd > days * 86400000) {
+            try {
+                fs.unlinkSync(path.join(dir, name));
+                addLog('info', `Pruned expired journal segment ${name}`);
+            } catch (error) {
+                addLog('error', `Failed to prune journal segment ${name}: ${error.message}`);
+            }
+        }
+    }
+}
+
+// Tracked changes follow the journal's retention window
+function pruneChanges() {
+    const cutoff = Date.now() - CONFIG.STORAGE.RETENTION_DAYS * 86400000;
+    const kept = state.changes.filter(change => Date.parse(change.timestamp) >= cutoff);
+    if (kept.length === state.changes.length) return;
+    addLog('info', `Pruned ${state.changes.length - kept.length} change(s) older than ${CONFIG.STORAGE.RETENTION_DAYS} days`);
+    state.changes = kept;
+    saveState();
+}
+
+// Diffs and section lists are only kept in the journal; adds them back to changes read from state
+function loadChangeDetails(changes) {
+    if (changes.length === 0) return changes;
+    const ids = new Set(changes.map(change => change.id));
+    const since = new Date(Math.min(...changes.map(change => Date.parse(change.timestamp))));
+    const details = new Map(readRecords('changes', { since, filter: record => record.event === 'detected' && ids.has(record.id) })
+        .map(record => [record.id, record]));
+    return changes.map(change => {
+        const detail = details.get(change.id);
+        return detail ? { ...change, diff: detail.diff || null, ...(detail.sections ? { sections: detail.sections } : {}) } : change;
+    });
+}
+
+// Seed list for the runtime source registry, taken from CONFIG.SOURCES
+function getDefaultSources() {
+    return CATEGORIES.flatMap(category => CONFIG.SOURCES[category].map(source => ({
+        id: createSourceId(source.url),
+        ...source,
+        category,
+        enabled: true
+    })));
+}
+
+function getSourceStatus(source) {
+    const data = state.history[source.url] || {};
+    const gate = data.gate || {};
+    const pending = Object.values(gate.subjects || {}).filter(entry => entry.pending).map(({ pending }) => ({
+        name: pending.change.name,
+        count: pending.count,
+        required: pending.required,
+        since: pending.since,
+        held: pending.held
+    }));
+    return {
+        id: source.id,
+        url: source.url,
+        name: source.name,
+        category: source.category,
+        priority: source.priority,
+        enabled: source.enabled !== false,
+        status: source.enabled === false ? 'disabled' : data.status || 'unknown',
+        lastChecked: data.lastChecked,
+        lastError: data.lastError,
+        httpStatus: data.httpStatus,
+        finalUrl: data.finalUrl,
+        bytes: data.bytes,
+        duration: data.duration,
+        notModified: data.notModified,
+        interval: getSourceInterval(source),
+        nextCheck: source.enabled === false ? null : state.schedule[source.url] || null,
+        ...(source.type ? { type: source.type } : {}),
+        ...(data.certificates ? { certificates: data.certificates } : {}),
+        ...(data.documents ? { documentCount: Object.keys(data.documents).length } : {}),
+        ...(data.items ? { newsCount: Object.values(data.items).filter(item => item.listed).length } : {}),
+        ...(pending.length > 0 ? { pending } : {}),
+        ...(gate.flapping ? { flapping: true } : {}),
+        ...(getCooldownEnd(source, gate) > Date.now() ? { cooldownUntil: new Date(getCooldownEnd(source, gate)).toISOString() } : {})
+    };
+}
+
+function getActiveSources() {
+    return state.sources.filter(s => s.enabled !== false);
+}
+
+function createSourceId(url) {
+    return crypto.createHash('sha256').update(url).digest('hex').slice(0, 12);
+}
+
+function validateSource(input, existing) {
+    const source = { ...existing };
+    
+    if (!existing || input.name !== undefined) {
+        if (typeof input.name !== 'string' || !input.name.trim()) return { error: 'name is required' };
+        source.name = input.name.trim();
+    }
+    if (!existing) {
+        let parsed;
+        try {
+            parsed = new URL(input.url);
+        } catch (error) {
+            return { error: 'url must be a valid absolute URL' };
+        }
+        if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return { error: 'url must use http or https' };
+        source.url = parsed.href;
+        source.id = createSourceId(source.url);
+    }
+    if (!existing || input.category !== undefined) {
+        if (!CATEGORIES.includes(input.category)) return { error: `category must be one of ${CATEGORIES.join(', ')}` };
+        source.category = input.category;
+    }
+    if (!existing || input.priority !== undefined) {
+        const priority = input.priority === undefined ? 'medium' : input.priority;
+        if (!PRIORITIES.includes(priority)) return { error: `priority must be one of ${PRIORITIES.join(', ')}` };
+        source.priority = priority;
+    }
+    if (input.type !== undefined) {
+        if (!MONITORS[input.type]) return { error: `type must be one of ${Object.keys(MONITORS).join(', ')}` };
+        if (input.type === 'page') delete source.type;
+        else source.type = input.type;
+    }
+    if (input.certificates !== undefined) {
+        if (!Array.isArray(input.certificates) || input.certificates.some(code => typeof code !== 'string' || !/^[A-Z0-9-]{4,40}$/i.test(code.trim()))) {
+            return { error: 'certificates must be an array of certificate codes such as FSC-C012345' };
+        }
+        source.certificates = [...new Set(input.certificates.map(code => code.trim().toUpperCase()))];
+    }
+    if (input.lookup !== undefined) {
+        if (input.lookup === null) {
+            delete source.lookup;
+        } else if (typeof input.lookup !== 'object' || Array.isArray(input.lookup) || (input.lookup.adapter !== undefined && !CERTIFICATE_LOOKUPS[input.lookup.adapter]) ||
+            (input.lookup.url !== undefined && (typeof input.lookup.url !== 'string' || !input.lookup.url.includes('{code}')))) {
+            return { error: `lookup must be { adapter: ${Object.keys(CERTIFICATE_LOOKUPS).join('|')}, url: "...{code}..." } or null` };
+        } else {
+            source.lookup = input.lookup;
+        }
+    }
+    if (input.documents !== undefined) {
+        if (input.documents === null) {
+            delete source.documents;
+        } else {
+            try {
+                new RegExp(input.documents.pattern);
+            } catch (error) {
+                return { error: 'documents.pattern must be a valid regular expression' };
+            }
+            if (typeof input.documents.pattern !== 'string') return { error: 'documents must be { pattern } or null' };
+            source.documents = { pattern: input.documents.pattern };
+        }
+    }
+    if (input.confirmations !== undefined) {
+        if (input.confirmations === null) {
+            delete source.confirmations;
+        } else if (!Number.isInteger(input.confirmations) || input.confirmations < 1 || input.confirmations > 20) {
+            return { error: 'confirmations must be a whole number of checks from 1 to 20, or null' };
+        } else {
+            source.confirmations = input.confirmations;
+        }
+    }
+    if (input.cooldownMinutes !== undefined) {
+        if (input.cooldownMinutes === null) {
+            delete source.cooldownMinutes;
+        } else if (!Number.isFinite(input.cooldownMinutes) || input.cooldownMinutes < 0 || input.cooldownMinutes > CONFIG.CHANGES.MAX_COOLDOWN_MINUTES) {
+            return { error: `cooldownMinutes must be a number of minutes from 0 (none) to ${CONFIG.CHANGES.MAX_COOLDOWN_MINUTES}, or null` };
+        } else {
+            source.cooldownMinutes = input.cooldownMinutes;
+        }
+    }
+    if (input.intervalMinutes !== undefined) {
+        if (input.intervalMinutes === null) {
+            delete source.intervalMinutes;
+        } else if (!Number.isFinite(input.intervalMinutes) || input.intervalMinutes < 1 || input.intervalMinutes > CONFIG.SCHEDULE.MAX_INTERVAL_MINUTES) {
+            return { error: `intervalMinutes must be a number of minutes from 1 to ${CONFIG.SCHEDULE.MAX_INTERVAL_MINUTES}, or null` };
+        } else {
+            source.intervalMinutes = input.intervalMinutes;
+        }
+    }
+    if (!existing || input.enabled !== undefined) {
+        source.enabled = input.enabled === undefined ? true : input.enabled === true;
+    }
+    if (input.watchlist !== undefined) {
+        if (input.watchlist === null) {
+            delete source.watchlist;
+        } else {
+            const result = validateWatchlist(input.watchlist);
+            if (result.error) return result;
+            source.watchlist = result.terms;
+        }
+    }
+    if (input.extract !== undefined) {
+        const rule = input.extract;
+        if (rule !== null && (typeof rule !== 'object' || Array.isArray(rule))) return { error: 'extract must be an object or null' };
+        for (const key of ['selector', 'start', 'end']) {
+            if (rule && rule[key] !== undefined && (typeof rule[key] !== 'string' || !rule[key].trim())) return { error: `extract.${key} must be a non-empty string` };
+        }
+        if (rule && rule.ignore !== undefined && (!Array.isArray(rule.ignore) || rule.ignore.some(pattern => typeof pattern !== 'string'))) {
+            return { error: 'extract.ignore must be an array of regular expression strings' };
+        }
+        for (const pattern of (rule && rule.ignore) || []) {
+            try {
+                new RegExp(pattern);
+            } catch (error) {
+                return { error: `invalid ignore pattern: ${pattern}` };
+            }
+        }
+        if (input.extract) source.extract = input.extract;
+        else delete source.extract;
+    }
+    
+    return { source };
+}
+
+// Fetch with retries: network errors, timeouts, 429 and 5xx are retried with exponential backoff
+// `options.raw` keeps the body as a Buffer, for hashing binary documents
+async function fetchPage(url, conditional = {}, options = {}) {
+    let lastError;
+    for (let attempt = 1; attempt <= CONFIG.FETCH.MAX_ATTEMPTS; attempt++) {
+        try {
+            const result = await fetchWithRedirects(url, conditional, options);
+            return { ...result, attempts: attempt };
+        } catch (error) {
+            lastError = error;
+            error.attempts = attempt;
+            const retryable = !error.permanent && (!error.statusCode || error.statusCode === 429 || error.statusCode >= 500);
+            if (!retryable || attempt === CONFIG.FETCH.MAX_ATTEMPTS) break;
+            
+            const delay = CONFIG.FETCH.RETRY_BASE_DELAY * Math.pow(2, attempt - 1) * (1 + Math.random() * 0.5);
+            addLog('info', `Retrying ${url} in ${Math.round(delay / 1000)}s after: ${error.message}`);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+    throw lastError;
+}
+
+async function fetchWithRedirects(url, conditional, options = {}) {
+    const started = Date.now();
+    const visited = new Set();
+    let currentUrl = url;
+    
+    for (let redirects = 0; ; redirects++) {
+        if (visited.has(currentUrl)) throw Object.assign(new Error(`Redirect loop at ${currentUrl}`), { permanent: true });
+        visited.add(currentUrl);
+        
+        const response = await requestPage(currentUrl, conditional);
+        const meta = {
+            finalUrl: currentUrl,
+            httpStatus: response.statusCode,
+            duration: Date.now() - started,
+            redirects
+        };
+        
+        if (response.statusCode >= 300 && response.statusCode < 400 && response.statusCode !== 304) {
+            if (!response.headers.location) {
+                throw Object.assign(new Error(`HTTP ${response.statusCode} without Location`), { fetch: meta, permanent: true });
+            }
+            if (redirects >= CONFIG.FETCH.MAX_REDIRECTS) {
+                throw Object.assign(new Error(`Too many redirects (${redirects})`), { fetch: meta, permanent: true });
+            }
+            currentUrl = new URL(response.headers.location, currentUrl).href;
+            continue;
+        }
+        
+        if (response.statusCode === 304) {
+            return { ...meta, notModified: true, bytes: 0, body: null };
+        }
+        if (response.statusCode < 200 || response.statusCode >= 300) {
+            throw Object.assign(new Error(`HTTP ${response.statusCode}`), { statusCode: response.statusCode, fetch: meta });
+        }
+        
+        return {
+            ...meta,
+            notModified: false,
+            bytes: response.body.length,
+            encoding: response.headers['content-encoding'] || 'identity',
+            etag: response.headers.etag || null,
+            lastModified: response.headers['last-modified'] || null,
+            body: options.raw ?
+                decodeBody(response.body, response.headers['content-encoding']) :
+                decodeBody(response.body, response.headers['content-encoding']).toString('utf8')
+        };
+    }
+}
+
+function requestPage(url, conditional) {
+    return new Promise((resolve, reject) => {
+        const client = url.startsWith('https') ? https : http;
+        const headers = {
+            'User-Agent': CONFIG.FETCH.USER_AGENT,
+            'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+            'Accept-Encoding': 'gzip, deflate, br'
+        };
+        if (conditional.etag) headers['If-None-Match'] = conditional.etag;
+        if (conditional.lastModified) headers['If-Modified-Since'] = conditional.lastModified;
+        
+        const req = client.get(url, { headers, timeout: CONFIG.FETCH.TIMEOUT }, (res) => {
+            const chunks = [];
+            let size = 0;
+            res.on('data', chunk => {
+                size += chunk.length;
+                if (size > CONFIG.FETCH.MAX_BYTES) {
+                    req.destroy(Object.assign(new Error(`Response larger than ${CONFIG.FETCH.MAX_BYTES} bytes`), { statusCode: 413 }));
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            res.on('end', () => resolve({ statusCode: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+            res.on('error', reject);
+        });
+        req.on('error', reject);
+        req.on('timeout', () => req.destroy(new Error('Timeout')));
+    });
+}
+
+function decodeBody(buffer, encoding) {
+    switch ((encoding || '').trim().toLowerCase()) {
+        case 'gzip':
+        case 'x-gzip':
+            return zlib.gunzipSync(buffer);
+        case 'deflate':
+            // Some servers send raw deflate without the zlib wrapper
+            try {
+                return zlib.inflateSync(buffer);
+            } catch (error) {
+                return zlib.inflateRawSync(buffer);
+            }
+        case 'br':
+            return zlib.brotliDecompressSync(buffer);
+        default:
+            return buffer;
+    }
+}
+
+// Narrow a page down to the source's main content, normalize it and hash only that
+function extractContent(source, html) {
+    const rule = source.extract || {};
+    let section = html;
+    let matched = true;
+    
+    if (rule.start) {
+        const index = section.indexOf(rule.start);
+        if (index >= 0) section = section.slice(index + rule.start.length);
+        else matched = false;
+    }
+    if (rule.end) {
+        const index = section.indexOf(rule.end);
+        if (index >= 0) section = section.slice(0, index);
+        else matched = false;
+    }
+    if (rule.selector) {
+        const element = selectElement(section, rule.selector);
+        if (element !== null) section = element;
+        else matched = false;
+    }
+    
+    let text = htmlToText(matched ? section : html);
+    for (const pattern of [...CONFIG.DEFAULT_IGNORE, ...(rule.ignore || [])]) {
+        text = text.replace(new RegExp(pattern, 'gim'), '');
+    }
+    text = text.split('\n').map(line => line.replace(/\s+/g, ' ').trim()).filter(Boolean).join('\n');
+    
+    return {
+        hash: crypto.createHash('sha256').update(text).digest('hex'),
+        text,
+        matched
+    };
+}
+
+// Minimal CSS-like lookup: comma-separated alternatives of `tag`, `#id`, `.class` or `tag#id.class`
+function selectElement(html, selector) {
+    for (const alternative of selector.split(',').map(s => s.trim()).filter(Boolean)) {
+        const parts = alternative.match(/^([a-z][a-z0-9-]*)?(?:#([\w-]+))?((?:\.[\w-]+)*)$/i);
+        if (!parts) continue;
+        const tag = parts[1] ? parts[1].toLowerCase() : null;
+        const id = parts[2] || null;
+        const classes = parts[3] ? parts[3].split('.').filter(Boolean) : [];
+        
+        const openTag = /<([a-z][a-z0-9-]*)\b([^>]*)>/gi;
+        let match;
+        while ((match = openTag.exec(html)) !== null) {
+            const name = match[1].toLowerCase();
+            const attrs = match[2];
+            if (tag && name !== tag) continue;
+            if (id && getAttribute(attrs, 'id') !== id) continue;
+            if (classes.length) {
+                const classList = (getAttribute(attrs, 'class') || '').split(/\s+/);
+                if (!classes.every(c => classList.includes(c))) continue;
+            }
+            
+            // Walk forward to the matching close tag, tracking nesting of the same element
+            const tagPattern = new RegExp(`<(/?)${name}\\b[^>]*>`, 'gi');
+            tagPattern.lastIndex = openTag.lastIndex;
+            let depth = 1;
+            let inner;
+            while ((inner = tagPattern.exec(html)) !== null) {
+                if (inner[0].endsWith('/>')) continue;
+                depth += inner[1] ? -1 : 1;
+                if (depth === 0) return html.slice(openTag.lastIndex, inner.index);
+            }
+            return html.slice(openTag.lastIndex);
+        }
+    }
+    return null;
+}
+
+function getAttribute(attrs, name) {
+    const match = attrs.match(new RegExp(`\\b${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+    return match ? (match[1] ?? match[2] ?? match[3]) : null;
+}
+
+function createChangeId() {
+    return crypto.randomBytes(8).toString('hex');
+}
+
+// Reduce an HTML page to one line of visible text per block element so snapshots diff cleanly
+function htmlToText(html) {
+    return html
+        .replace(/<(script|style|noscript|svg|template)[\s\S]*?<\/\1>/gi, '')
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(/<\/?(p|div|li|tr|h[1-6]|br|section|article|header|footer|table|ul|ol|dd|dt|blockquote|pre)\b[^>]*>/gi, '\n')
+        .replace(/<[^>]+>/g, ' ')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#0*39;|&apos;/g, "'")
+        .replace(/&#(\d+);/g, (m, code) => parseInt(code, 10) <= 0x10ffff ? String.fromCodePoint(parseInt(code, 10)) : m)
+        .replace(/&amp;/g, '&')
+        .split('\n')
+        .map(line => line.replace(/\s+/g, ' ').trim())
+        .filter(Boolean)
+        .join('\n');
+}
+
+// Line diff via longest common subsequence, after trimming the shared head and tail
+function diffLines(oldText, newText) {
+    const a = oldText ? oldText.split('\n') : [];
+    const b = newText ? newText.split('\n') : [];
+    
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length, endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+    
+    const midA = a.slice(start, endA);
+    const midB = b.slice(start, endB);
+    const added = [], removed = [];
+    
+    if (midA.length * midB.length > 4000000) {
+        // Too large for a full LCS table - fall back to set membership
+        const setA = new Set(midA), setB = new Set(midB);
+        midA.forEach(line => { if (!setB.has(line)) removed.push(line); });
+        midB.forEach(line => { if (!setA.has(line)) added.push(line); });
+    } else {
+        const cols = midB.length + 1;
+        const table = new Uint32Array((midA.length + 1) * cols);
+        for (let i = midA.length - 1; i >= 0; i--) {
+            for (let j = midB.length - 1; j >= 0; j--) {
+                table[i * cols + j] = midA[i] === midB[j] ?
+                    table[(i + 1) * cols + j + 1] + 1 :
+                    Math.max(table[(i + 1) * cols + j], table[i * cols + j + 1]);
+            }
+        }
+        let i = 0, j = 0;
+        while (i < midA.length && j < midB.length) {
+            if (midA[i] === midB[j]) { i++; j++; }
+            else if (table[(i + 1) * cols + j] >= table[i * cols + j + 1]) removed.push(midA[i++]);
+            else added.push(midB[j++]);
+        }
+        while (i < midA.length) removed.push(midA[i++]);
+        while (j < midB.length) added.push(midB[j++]);
+    }
+    
+    return {
+        added: added.slice(0, CONFIG.MAX_DIFF_LINES),
+        removed: removed.slice(0, CONFIG.MAX_DIFF_LINES),
+        addedCount: added.length,
+        removedCount: removed.length,
+        truncated: added.length > CONFIG.MAX_DIFF_LINES || removed.length > CONFIG.MAX_DIFF_LINES
+    };
+}
+
+function compileWatchTerm(term) {
+    const literal = /^\/(.+)\/([a-z]*)$/.exec(term);
+    if (!literal) return new RegExp(term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    // Stateful flags would make repeated test() calls skip matches
+    return new RegExp(literal[1], literal[2].replace(/[gy]/g, ''));
+}
+
+function validateWatchlist(terms) {
+    if (!Array.isArray(terms) || terms.some(term => typeof term !== 'string' || !term.trim())) {
+        return { error: 'watchlist must be an array of non-empty strings' };
+    }
+    for (const term of terms) {
+        try {
+            compileWatchTerm(term.trim());
+        } catch (error) {
+            return { error: `invalid watchlist pattern: ${term}` };
+        }
+    }
+    return { terms: [...new Set(terms.map(term => term.trim()))] };
+}
+
+function getWatchlist(source) {
+    return [...new Set([...(state.watchlist || []), ...(source.watchlist || [])])];
+}
+
+// Evaluate every term against the added and removed lines of a diff; one snippet per term and side
+function matchWatchlist(terms, diff) {
+    const matches = [];
+    for (const term of terms) {
+        const pattern = compileWatchTerm(term);
+        for (const side of ['added', 'removed']) {
+            const line = diff[side].find(l => pattern.test(l));
+            if (line) matches.push({ term, side, snippet: getSnippet(line, pattern) });
+        }
+    }
+    return matches.slice(0, CONFIG.WATCHLIST.MAX_MATCHES);
+}
+
+function getSnippet(line, pattern) {
+    const found = pattern.exec(line);
+    const start = Math.max(0, found.index - CONFIG.WATCHLIST.SNIPPET_RADIUS);
+    const end = Math.min(line.length, found.index + found[0].length + CONFIG.WATCHLIST.SNIPPET_RADIUS);
+    return `${start > 0 ? '…' : ''}${line.slice(start, end)}${end < line.length ? '…' : ''}`;
+}
+
+// Tags and escalates a change whose diff mentions a watchlist term
+function applyWatchlist(source, change) {
+    const terms = getWatchlist(source);
+    if (!change.diff || terms.length === 0) return;
+    change.watchlistMatches = matchWatchlist(terms, change.diff);
+    if (change.watchlistMatches.length > 0) {
+        change.tags = ['watchlist'];
+        change.originalPriority = change.priority;
+        change.priority = escalatePriority(change.priority);
+        addLog('warning', `🎯 Watchlist match in ${source.name}: ${[...new Set(change.watchlistMatches.map(m => m.term))].join(', ')}`);
+    }
+}
+
+function escalatePriority(priority) {
+    return PRIORITIES[Math.max(0, PRIORITIES.indexOf(priority) - 1)];
+}
+
+// Evaluated against a watchlist and matched nothing
+function isDigestOnly(change) {
+    return CONFIG.WATCHLIST.DIGEST_UNMATCHED && Array.isArray(change.watchlistMatches) && change.watchlistMatches.length === 0;
+}
+
+// Date.parse rolls 2026-02-31 over into March, so the parsed date has to read back as the same day
+function isCalendarDate(value) {
+    const time = Date.parse(`${value}T00:00:00Z`);
+    return !isNaN(time) && new Date(time).toISOString().slice(0, 10) === value;
+}
+
+function validateDeadline(input, existing) {
+    const deadline = { ...existing };
+    
+    if (!existing || input.name !== undefined) {
+        if (typeof input.name !== 'string' || !input.name.trim()) return { error: 'name is required' };
+        deadline.name = input.name.trim();
+    }
+    if (!existing || input.date !== undefined) {
+        if (typeof input.date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(input.date) || !isCalendarDate(input.date)) {
+            return { error: 'date must be a YYYY-MM-DD date' };
+        }
+        // A moved deadline gets its full reminder schedule again
+        if (!existing || existing.date !== input.date) deadline.remindersSent = [];
+        deadline.date = input.date;
+    }
+    if (!existing || input.applicability !== undefined) {
+        const applicability = input.applicability === undefined ? OPERATOR_SIZES : input.applicability;
+        if (!Array.isArray(applicability) || applicability.length === 0 || applicability.some(size => !OPERATOR_SIZES.includes(size))) {
+            return { error: `applicability must be a non-empty list of ${OPERATOR_SIZES.join(', ')}` };
+        }
+        deadline.applicability = OPERATOR_SIZES.filter(size => applicability.includes(size));
+    }
+    if (!existing || input.category !== undefined) {
+        if (!CATEGORIES.includes(input.category)) return { error: `category must be one of ${CATEGORIES.join(', ')}` };
+        deadline.category = input.category;
+    }
+    if (input.url !== undefined) {
+        if (input.url === null || input.url === '') {
+            delete deadline.url;
+        } else {
+            let parsed;
+            try {
+                parsed = new URL(input.url);
+            } catch (error) {
+                return { error: 'url must be a valid absolute URL' };
+            }
+            if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return { error: 'url must use http or https' };
+            deadline.url = parsed.href;
+        }
+    }
+    if (!existing) deadline.id = createChangeId();
+    
+    return { deadline };
+}
+
+// Whole days until the deadline, counted in UTC; 0 on the day itself
+function getDaysLeft(date, now = new Date()) {
+    const today = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+    return Math.round((Date.parse(date) - today) / 86400000);
+}
+
+function getDeadlines() {
+    return state.deadlines
+        .map(deadline => ({ ...deadline, daysLeft: getDaysLeft(deadline.date) }))
+        .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// Sends the nearest due reminder per deadline; thresholds already passed are marked so a newly added
+// deadline three weeks out gets a single "21 days" reminder rather than the whole 90/30 backlog. Thresholds
+// are only marked once delivered (or held in the outbox), so a failed reminder is sent again on the next run.
+async function checkDeadlineReminders() {
+    const due = [];
+    for (const deadline of state.deadlines) {
+        const daysLeft = getDaysLeft(deadline.date);
+        if (daysLeft < 0) continue;
+        const pending = CONFIG.DEADLINES.REMINDER_DAYS.filter(days => daysLeft <= days && !deadline.remindersSent.includes(days));
+        if (pending.length === 0) continue;
+        due.push({ deadline, pending, reminder: getReminderChange(deadline, daysLeft) });
+    }
+    if (due.length === 0) return;
+    
+    due.forEach(({ reminder }) => addLog('warning', `⏰ ${reminder.name}`));
+    const results = await sendNotifications(due.map(({ reminder }) => reminder), getNotificationChannels(), { reminder: true });
+    const failed = new Set(results.flatMap(result => result.failed || []));
+    due.filter(({ reminder }) => !failed.has(reminder.id)).forEach(({ deadline, pending }) => deadline.remindersSent.push(...pending));
+    saveState();
+}
+
+function getReminderChange(deadline, daysLeft) {
+    return {
+        id: `deadline-${deadline.id}`,
+        category: deadline.category,
+        name: `${deadline.name} - ${daysLeft === 0 ? 'today' : `in ${daysLeft} day(s)`} (${deadline.date})`,
+        url: deadline.url || CONFIG.DASHBOARD_URL,
+        timestamp: new Date().toISOString(),
+        priority: daysLeft <= 7 ? 'critical' : daysLeft <= 30 ? 'high' : 'medium',
+        diff: null,
+        deadline: { id: deadline.id, date: deadline.date, daysLeft, applicability: deadline.applicability }
+    };
+}
+
+const inFlight = new Set();
+const hostGates = new Map();
+// Fetch slots shared by every runChecks call, so a scheduler tick and a manual check together stay within CONCURRENCY
+const checkSlots = { active: 0, waiting: [] };
+const sendingBuckets = new Set();
+
+// Manual "check now": every active source that is not already being checked
+function checkAllSources() {
+    return runChecks(getActiveSources(), 'manual');
+}
+
+function schedulerTick() {
+    const now = Date.now();
+    const due = getActiveSources().filter(source =>
+        !inFlight.has(source.url) && (!state.schedule[source.url] || new Date(state.schedule[source.url]).getTime() <= now));
+    if (due.length === 0) return Promise.resolve([]);
+    return runChecks(due, 'scheduled');
+}
+
+function getSourceInterval(source) {
+    if (source.intervalMinutes) return Math.min(source.intervalMinutes, CONFIG.SCHEDULE.MAX_INTERVAL_MINUTES) * 60000;
+    return CONFIG.SCHEDULE.INTERVALS[source.priority] || CONFIG.CHECK_INTERVAL;
+}
+
+function scheduleNextCheck(source) {
+    const interval = getSourceInterval(source);
+    const jitter = (Math.random() * 2 - 1) * CONFIG.SCHEDULE.JITTER * interval;
+    state.schedule[source.url] = new Date(Date.now() + interval + jitter).toISOString();
+}
+
+function updateNextCheck() {
+    const upcoming = getActiveSources().map(s => state.schedule[s.url]).filter(Boolean).sort();
+    state.nextCheck = upcoming[0] || null;
+}
+
+// Requests to the same host run one at a time with a politeness gap between them
+async function acquireHost(url) {
+    const host = new URL(url).host;
+    const previous = hostGates.get(host) || Promise.resolve();
+    let release;
+    const gate = new Promise(resolve => { release = resolve; });
+    const chain = previous.then(() => gate);
+    hostGates.set(host, chain);
+    chain.then(() => { if (hostGates.get(host) === chain) hostGates.delete(host); });
+    await previous;
+    return () => setTimeout(release, CONFIG.SCHEDULE.HOST_DELAY);
+}
+
+function acquireCheckSlot() {
+    if (checkSlots.active < CONFIG.SCHEDULE.CONCURRENCY) {
+        checkSlots.active++;
+        return Promise.resolve();
+    }
+    return new Promise(resolve => checkSlots.waiting.push(resolve));
+}
+
+// A waiting worker takes the slot over directly, so `active` only drops when nobody is waiting
+function releaseCheckSlot() {
+    const next = checkSlots.waiting.shift();
+    if (next) next();
+    else checkSlots.active--;
+}
+
+async function runChecks(sources, reason) {
+    const batch = sources.filter(source => !inFlight.has(source.url));
+    if (batch.length === 0) {
+        addLog('info', 'All requested sources are already being checked');
+        return [];
+    }
+    batch.forEach(source => inFlight.add(source.url));
+    
+    const checkId = createChangeId().slice(0, 8);
+    addLog('info', `🔍 Starting ${reason} check of ${batch.length} source(s)...`, { check: checkId });
+    state.totalChecks++;
+    state.lastCheck = new Date().toISOString();
+    const startedAt = state.lastCheck;
+    broadcast('check-started', { timestamp: startedAt, reason, sources: batch.map(s => s.id) });
+    
+    const changes = [];
+    let errorCount = 0;
+    const queue = [...batch].sort((a, b) => PRIORITIES.indexOf(a.priority) - PRIORITIES.indexOf(b.priority));
+    
+    // Take the most urgent source whose host is idle, so workers do not all queue behind one busy host;
+    // only when every remaining source shares a busy host does a worker wait on its gate
+    const worker = async () => {
+        while (queue.length > 0) {
+            await acquireCheckSlot();
+            if (queue.length === 0) {
+                releaseCheckSlot();
+                break;
+            }
+            const index = queue.findIndex(source => !hostGates.has(new URL(source.url).host));
+            const source = queue.splice(Math.max(index, 0), 1)[0];
+            const release = await acquireHost(source.url);
+            try {
+                const result = await logContext.run({ check: checkId, source: source.id }, () => checkSource(source));
+                changes.push(...result.changes);
+                if (result.error) errorCount++;
+            } finally {
+                release();
+                releaseCheckSlot();
+                inFlight.delete(source.url);
+                try {
+                    scheduleNextCheck(source);
+                } catch (error) {
+                    addLog('error', `Could not schedule the next check of ${source.name}: ${error.message}`);
+                }
+                broadcast('source-checked', getSourceStatus(source));
+            }
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(CONFIG.SCHEDULE.CONCURRENCY, batch.length) }, worker));
+    updateNextCheck();
+    
+    const checkRecord = {
+        id: checkId,
+        timestamp: startedAt,
+        reason,
+        changesFound: changes.length,
+        sourcesChecked: batch.length,
+        errors: errorCount
+    };
+    state.checkHistory.unshift(checkRecord);
+    appendRecord('checks', checkRecord);
+    if (state.checkHistory.length > CONFIG.MAX_CHECK_HISTORY) state.checkHistory = state.checkHistory.slice(0, CONFIG.MAX_CHECK_HISTORY);
+    
+    if (changes.length > 0) {
+        addLog('warning', `✅ Check completed - ${changes.length} CHANGE(S) FOUND!`, { check: checkId });
+    } else {
+        addLog('success', '✅ Check completed - All sources unchanged', { check: checkId });
+    }
+    broadcast('check-finished', {
+        timestamp: new Date().toISOString(),
+        reason,
+        changesFound: changes.length,
+        sourcesChecked: batch.length,
+        errors: errorCount,
+        nextCheck: state.nextCheck
+    });
+    
+    if (changes.length > 0) {
+        await logContext.run({ check: checkId }, () => sendNotifications(changes));
+    }
+    saveState();
+    return changes;
+}
+
+async function checkSource(source) {
+    const previous = state.history[source.url];
+    state.history[source.url] = { ...previous, status: 'checking' };
+    broadcast('source-checking', { id: source.id });
+    
+    try {
+        addLog('info', `Checking: ${source.name}`);
+        const result = await MONITORS[source.type || 'page'].check(source, previous);
+        const changes = gateCandidates(source, previous, result.candidates, result.reset);
+        if (result.error) recordSourceError(source, result.error);
+        return { changes, error: result.error };
+    } catch (error) {
+        state.history[source.url] = {
+            ...previous,
+            ...(error.fetch || {}),
+            attempts: error.attempts,
+            status: 'error',
+            lastError: error.message,
+            lastErrorAt: new Date().toISOString()
+        };
+        recordSourceError(source, error);
+        return { changes: [], error };
+    }
+}
+
+function recordSourceError(source, error) {
+    const errorRecord = {
+        timestamp: new Date().toISOString(),
+        url: source.url,
+        name: source.name,
+        category: source.category,
+        message: error.message,
+        httpStatus: error.statusCode || null
+    };
+    state.errorHistory.unshift(errorRecord);
+    appendRecord('errors', errorRecord);
+    metrics.sourceErrors.set(source.url, (metrics.sourceErrors.get(source.url) || 0) + 1);
+    if (state.errorHistory.length > CONFIG.MAX_ERROR_HISTORY) state.errorHistory = state.errorHistory.slice(0, CONFIG.MAX_ERROR_HISTORY);
+    addLog('error', `Error: ${source.name} - ${error.message}`);
+}
+
+function createChange(source, fields) {
+    return {
+        id: createChangeId(),
+        source: source.id,
+        category: source.category,
+        name: source.name,
+        url: source.url,
+        timestamp: new Date().toISOString(),
+        priority: source.priority,
+        diff: null,
+        ...fields,
+        new: true,
+        status: 'new',
+        assignee: null,
+        notes: [],
+        statusHistory: []
+    };
+}
+
+// State keeps the change summarized; the full diff goes to the journal only
+function recordChange(change) {
+    state.changes.unshift(summarizeChange(change));
+    appendRecord('changes', { event: 'detected', ...change });
+    state.changesDetected++;
+    addLog('warning', `🚨 CHANGE DETECTED: ${change.name}`);
+    broadcast('change-detected', summarizeChange(change));
+}
+
+// Each monitor type checks one source and returns { candidates, reset?, error? } for gateCandidates; throwing marks
+// the whole source as failed
+const MONITORS = {
+    page: {
+        label: 'Web page',
+        check: checkPage
+    },
+    'fsc-certificates': {
+        label: 'FSC certificates',
+        check: checkCertificates
+    },
+    eurlex: {
+        label: 'EUR-Lex legal act',
+        check: checkPage,
+        describe: describeLegalChange
+    },
+    documents: {
+        label: 'Document listing',
+        check: checkDocuments
+    },
+    news: {
+        label: 'News listing',
+        check: checkNews
+    }
+};
+
+// Certificate lookups resolve a code to { status, scope, expiresAt, holder }, or null when the search has no such certificate
+const CERTIFICATE_LOOKUPS = {
+    html: {
+        label: 'FSC public certificate search',
+        async lookup(code, url) {
+            const response = await fetchLookup(url);
+            return response && parseCertificatePage(response.body, code);
+        }
+    },
+    json: {
+        label: 'JSON endpoint',
+        async lookup(code, url) {
+            const response = await fetchLookup(url);
+            if (!response) return null;
+            const data = JSON.parse(response.body);
+            const record = Array.isArray(data) ?
+                data.find(item => String(item.code || item.certificateCode || '').toUpperCase() === code) :
+                data;
+            if (!record || (!record.status && !record.certificateStatus)) return null;
+            return {
+                status: String(record.status || record.certificateStatus).trim().toLowerCase(),
+                scope: record.scope || record.productScope || null,
+                expiresAt: parseLooseDate(record.expiresAt || record.expiryDate || record.validUntil),
+                holder: record.holder || record.organization || null
+            };
+        }
+    }
+};
+
+// A 404 from the search means the certificate is unknown, not that the lookup failed
+async function fetchLookup(url) {
+    try {
+        return await fetchPage(url);
+    } catch (error) {
+        if (error.statusCode === 404) return null;
+        throw error;
+    }
+}
+
+function parseCertificatePage(html, code) {
+    const text = htmlToText(html);
+    if (!text.toUpperCase().includes(code)) return null;
+    const lines = text.split('\n');
+    
+    const field = labels => {
+        const pattern = new RegExp(`^(?:${labels})\\s*:?\\s*(.*)$`, 'i');
+        for (let i = 0; i < lines.length; i++) {
+            const match = pattern.exec(lines[i]);
+            if (match) return match[1] || lines[i + 1] || null;
+        }
+        return null;
+    };
+    
+    const status = field('certificate status|status');
+    if (!status) return null;
+    return {
+        status: status.trim().toLowerCase(),
+        scope: field('product scope|main products?|scope'),
+        expiresAt: parseLooseDate(field('expiry date|expiration date|expires on|valid until')),
+        holder: field('certificate holder|organi[sz]ation name|organi[sz]ation')
+    };
+}
+
+// Normalises ISO, `31/03/2027` and `31 March 2027` style dates to YYYY-MM-DD
+function parseLooseDate(value) {
+    if (!value) return null;
+    const dmy = /^(\d{1,2})[./](\d{1,2})[./](\d{4})$/.exec(String(value).trim());
+    const time = dmy ? Date.UTC(dmy[3], dmy[2] - 1, dmy[1]) : Date.parse(`${value} UTC`) || Date.parse(value);
+    return isNaN(time) ? null : new Date(time).toISOString().slice(0, 10);
+}
+
+function getCertificateCodes(source) {
+    return source.certificates || splitList(CONFIG.CERTIFICATES.CODES).map(code => code.toUpperCase());
+}
+
+function getCertificateUrl(source, code) {
+    const template = (source.lookup && source.lookup.url) || CONFIG.CERTIFICATES.LOOKUP_URL;
+    return template.replace('{code}', encodeURIComponent(code));
+}
+
+// Raises one critical change per certificate whose status or scope changed, or whose expiry is approaching
+async function checkCertificates(source, previous) {
+    const adapter = CERTIFICATE_LOOKUPS[(source.lookup && source.lookup.adapter) || CONFIG.CERTIFICATES.LOOKUP];
+    if (!adapter) throw new Error(`Unknown certificate lookup "${source.lookup && source.lookup.adapter}"`);
+    
+    const codes = getCertificateCodes(source);
+    const known = (previous && previous.certificates) || {};
+    const certificates = {};
+    const candidates = [];
+    const failures = [];
+    
+    for (const [index, code] of codes.entries()) {
+        if (index > 0) await new Promise(resolve => setTimeout(resolve, CONFIG.SCHEDULE.HOST_DELAY));
+        const before = known[code];
+        const url = getCertificateUrl(source, code);
+        const checkedAt = new Date().toISOString();
+        
+        let record;
+        try {
+            record = await adapter.lookup(code, url);
+        } catch (error) {
+            failures.push(`${code}: ${error.message}`);
+            certificates[code] = { ...before, error: error.message, checkedAt };
+            continue;
+        }
+        const current = {
+            status: record ? record.status : 'not found',
+            scope: record ? record.scope : null,
+            expiresAt: record ? record.expiresAt : null,
+            holder: record ? record.holder : null,
+            expiryWarnedFor: before && before.expiryWarnedFor,
+            checkedAt
+        };
+        
+        const added = [], removed = [], reasons = [];
+        if (before && before.status && before.status !== current.status) {
+            reasons.push('status');
+            removed.push(`${code} status: ${before.status}`);
+            added.push(`${code} status: ${current.status}`);
+        }
+        if (before && before.status && record && (before.scope || null) !== (current.scope || null)) {
+            reasons.push('scope');
+            removed.push(`${code} scope: ${before.scope || '(none)'}`);
+            added.push(`${code} scope: ${current.scope || '(none)'}`);
+        }
+        const daysLeft = current.expiresAt ? Math.ceil((Date.parse(current.expiresAt) - Date.now()) / 86400000) : null;
+        if (daysLeft !== null && daysLeft <= CONFIG.CERTIFICATES.EXPIRY_WARNING_DAYS && current.expiryWarnedFor !== current.expiresAt) {
+            reasons.push('expiry');
+            added.push(`${code} ${daysLeft < 0 ? 'expired' : 'expires'} on ${current.expiresAt} (${daysLeft} day(s))`);
+            current.expiryWarnedFor = current.expiresAt;
+        }
+        certificates[code] = current;
+        
+        if (reasons.length > 0) {
+            // An expiry warning on its own is tracked apart from the certificate's status and scope
+            const expiryOnly = reasons.length === 1 && reasons[0] === 'expiry';
+            const change = createChange(source, {
+                name: `${source.name}: ${code}${current.holder ? ` (${current.holder})` : ''}`,
+                url,
+                previousCheck: before && before.checkedAt,
+                priority: 'critical',
+                diff: { added, removed, addedCount: added.length, removedCount: removed.length, truncated: false },
+                certificate: { code, reasons, status: current.status, previousStatus: before ? before.status : null, scope: current.scope, expiresAt: current.expiresAt }
+            });
+            candidates.push(expiryOnly ?
+                { subject: `${code}:expiry`, version: current.expiresAt, base: (before && before.expiryWarnedFor) || null, change } :
+                { subject: code, version: `${current.status}|${current.scope || ''}`, base: `${before.status}|${before.scope || ''}`, change });
+        }
+    }
+    
+    if (codes.length > 0 && failures.length === codes.length) {
+        throw new Error(`All certificate lookups failed - ${failures[0]}`);
+    }
+    
+    const error = failures.length > 0 ? new Error(`${failures.length} of ${codes.length} certificate lookup(s) failed - ${failures.join('; ')}`) : null;
+    state.history[source.url] = {
+        certificates,
+        lastChecked: new Date().toISOString(),
+        name: source.name,
+        category: source.category,
+        status: error ? 'error' : 'checked',
+        lastError: error ? error.message : undefined,
+        lastErrorAt: error ? new Date().toISOString() : undefined
+    };
+    addLog('info', `Looked up ${codes.length - failures.length} of ${codes.length} certificate(s) for ${source.name}`);
+    return error ? { candidates, error } : { candidates };
+}
+
+// Splits the text of an EU legal act into recitals, articles, paragraphs, points and annexes, keyed the way
+// lawyers cite them: `Recital 12`, `Article 3`, `Article 9(1)`, `Article 2(28)(a)`, `Annex I`
+function parseLegalText(text) {
+    const sections = {};
+    let zone = 'title';
+    let article = null, paragraph = null, point = null, subpoint = null;
+    let key = 'Title';
+    
+    const append = (sectionKey, line) => {
+        sections[sectionKey] = sections[sectionKey] ? `${sections[sectionKey]}\n${line}` : line;
+    };
+    
+    for (const line of text.split('\n')) {
+        let match;
+        if ((match = /^Article (\d+[a-z]*)$/i.exec(line))) {
+            zone = 'article';
+            article = match[1];
+            paragraph = point = subpoint = null;
+            key = `Article ${article}`;
+        } else if ((match = /^ANNEX ([IVXLC]+[a-z]*)\b/.exec(line))) {
+            zone = 'annex';
+            key = `Annex ${match[1]}`;
+        } else if (zone === 'title' || zone === 'recitals') {
+            if ((match = /^\((\d+)\)(\s|$)/.exec(line))) {
+                zone = 'recitals';
+                key = `Recital ${match[1]}`;
+            } else if (/^HAVE ADOPTED THIS (REGULATION|DIRECTIVE|DECISION)/i.test(line)) {
+                zone = 'enacting';
+                key = 'Enacting terms';
+            }
+        } else if (zone === 'article') {
+            if ((match = /^(\d+[a-z]*)\.(\s|$)/.exec(line))) {
+                paragraph = match[1];
+                point = subpoint = null;
+                key = `Article ${article}(${paragraph})`;
+            } else if ((match = /^\(([a-z]{1,2}|[ivx]+)\)(\s|$)/.exec(line))) {
+                // (i), (v) and (x) are letters unless they follow a lettered point that is not their predecessor
+                const roman = /^[ivx]+$/.test(match[1]) && point && String.fromCharCode(point.charCodeAt(0) + 1) !== match[1];
+                if (roman) subpoint = match[1];
+                else { point = match[1]; subpoint = null; }
+                key = `Article ${article}${paragraph ? `(${paragraph})` : ''}(${point})${subpoint ? `(${subpoint})` : ''}`;
+            }
+        }
+        append(key, line);
+    }
+    return sections;
+}
+
+// Section-level comparison of two versions of a legal act, e.g. "Article 3(b) amended", "Annex I new row"
+function describeLegalChange(previousText, text) {
+    const before = parseLegalText(previousText);
+    const after = parseLegalText(text);
+    const sections = [];
+    
+    for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+        if (before[key] === after[key]) continue;
+        if (key.startsWith('Annex ') && before[key] !== undefined && after[key] !== undefined) {
+            // Annex tables (CN codes, information requirements) are reported row by row
+            const rows = diffLines(before[key], after[key]);
+            rows.added.forEach(row => sections.push({ key, kind: 'row added', label: `${key} new row`, before: null, after: row }));
+            rows.removed.forEach(row => sections.push({ key, kind: 'row removed', label: `${key} row removed`, before: row, after: null }));
+            continue;
+        }
+        const kind = before[key] === undefined ? 'inserted' : after[key] === undefined ? 'deleted' : 'amended';
+        sections.push({ key, kind, label: `${key} ${kind}`, before: before[key] || null, after: after[key] || null });
+    }
+    
+    const counts = new Map();
+    sections.forEach(section => counts.set(section.label, (counts.get(section.label) || 0) + 1));
+    const labels = [...counts].map(([label, count]) => count > 1 ? `${label} ×${count}` : label);
+    return {
+        sections: sections.slice(0, CONFIG.MAX_DIFF_LINES),
+        summary: labels.length === 0 ? 'Formatting only' :
+            labels.slice(0, 3).join(', ') + (labels.length > 3 ? ` (+${labels.length - 3} more)` : '')
+    };
+}
+
+// Linked documents on a listing page, keyed by their FSC document code (or URL when there is none)
+function extractDocuments(source, html, baseUrl) {
+    const rule = source.extract || {};
+    const section = (rule.selector && selectElement(html, rule.selector)) || html;
+    const pattern = new RegExp((source.documents && source.documents.pattern) || CONFIG.DOCUMENTS.LINK_PATTERN, 'i');
+    const documents = {};
+    const links = /<a\s[^>]*?href\s*=\s*["']([^"']+)["'][^>]*>([\s\S]*?)<\/a>/gi;
+    let match;
+    
+    while ((match = links.exec(section)) !== null) {
+        let url;
+        try {
+            url = new URL(match[1].replace(/&amp;/g, '&'), baseUrl);
+        } catch (error) {
+            continue;
+        }
+        if (!pattern.test(url.href)) continue;
+        
+        // Version and date usually sit next to the link, in the same row or card
+        const following = section.slice(links.lastIndex, links.lastIndex + 400).split(/<a\s/i)[0];
+        const title = htmlToText(match[2]).replace(/\n/g, ' ') || getFileName(url);
+        const context = `${title} ${htmlToText(following).replace(/\n/g, ' ')}`;
+        const code = /\bFSC-(?:STD|PRO|ADV|POL|DIR|GUI|RPT)-\d{2}-\d{3}(?:-\d{2})?[a-z]?\b/i.exec(context);
+        const version = /\bV(?:ersion)?\s?(\d+(?:[-.]\d+)*)\b/i.exec(context);
+        const date = /\b(\d{4}-\d{2}-\d{2}|\d{1,2}[./]\d{1,2}[./]\d{4}|\d{1,2} (?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]* \d{4})\b/.exec(context);
+        
+        const key = code ? code[0].toUpperCase() : url.origin + url.pathname;
+        if (documents[key]) continue;
+        documents[key] = {
+            title,
+            url: url.href,
+            code: code ? code[0].toUpperCase() : null,
+            version: version ? `V${version[1]}` : null,
+            date: date ? parseLooseDate(date[1]) : null
+        };
+    }
+    return documents;
+}
+
+// Last path segment, decoded where the encoding is valid
+function getFileName(url) {
+    const name = url.pathname.split('/').pop();
+    try {
+        return decodeURIComponent(name);
+    } catch (error) {
+        return name;
+    }
+}
+
+function getDocumentLabel(doc) {
+    return doc.code ? `${doc.code}${doc.version ? ` ${doc.version}` : ''}` : doc.title;
+}
+
+// Tracks additions, removals, new versions and in-place replacements of listed documents, one change each
+async function checkDocuments(source, previous) {
+    const response = await fetchPage(source.url);
+    const listed = extractDocuments(source, response.body, response.finalUrl);
+    const known = (previous && previous.documents) || null;
+    if (known && Object.keys(known).length > 0 && Object.keys(listed).length === 0) {
+        // An empty listing is far more likely a layout change than every document being withdrawn at once
+        throw new Error('No documents found on the listing - check the link pattern and extraction rule');
+    }
+    const now = new Date().toISOString();
+    const documents = {};
+    const events = [];
+    
+    for (const [key, doc] of Object.entries(listed)) {
+        const before = known && known[key];
+        documents[key] = { ...before, ...doc, firstSeen: before ? before.firstSeen : now, lastSeen: now };
+        if (!known) continue;
+        if (!before) {
+            events.push({ key, kind: 'added' });
+        } else if (before.version !== doc.version || before.url !== doc.url) {
+            // A new file behind the listing entry - its old hash no longer applies
+            delete documents[key].hash;
+            events.push({ key, kind: 'version', before });
+        }
+    }
+    if (known) {
+        Object.keys(known).filter(key => !listed[key]).forEach(key => events.push({ key, kind: 'removed', before: known[key] }));
+    }
+    
+    // Download changed documents first, then re-verify the least recently hashed ones
+    const changedKeys = events.filter(event => event.kind !== 'removed').map(event => event.key);
+    const downloads = [
+        ...changedKeys,
+        ...Object.keys(documents)
+            .filter(key => !changedKeys.includes(key))
+            .sort((a, b) => (documents[a].hashedAt || '').localeCompare(documents[b].hashedAt || ''))
+    ].slice(0, known ? CONFIG.DOCUMENTS.MAX_DOWNLOADS : 0);
+    
+    for (const [index, key] of downloads.entries()) {
+        if (index > 0) await new Promise(resolve => setTimeout(resolve, CONFIG.SCHEDULE.HOST_DELAY));
+        const doc = documents[key];
+        try {
+            const file = await fetchPage(doc.url, doc.hash ? { etag: doc.etag, lastModified: doc.lastModified } : {}, { raw: true });
+            doc.hashedAt = new Date().toISOString();
+            delete doc.error;
+            if (file.notModified) continue;
+            const hash = crypto.createHash('sha256').update(file.body).digest('hex');
+            if (doc.hash && doc.hash !== hash && !changedKeys.includes(key)) {
+                events.push({ key, kind: 'replaced', before: { ...doc } });
+            }
+            Object.assign(doc, { hash, bytes: file.body.length, etag: file.etag, lastModified: file.lastModified });
+        } catch (error) {
+            doc.error = error.message;
+            addLog('warning', `Could not download ${doc.url}: ${error.message}`);
+        }
+    }
+    
+    const getVersion = doc => doc ? `${doc.url}|${doc.version || ''}|${doc.hash || ''}` : null;
+    const candidates = events.map(event => {
+        const doc = documents[event.key] || event.before;
+        const line = d => [getDocumentLabel(d), d.date, d.url].filter(Boolean).join(' · ');
+        const summary = event.kind === 'added' ? `new document: ${getDocumentLabel(doc)}` :
+            event.kind === 'removed' ? `document removed: ${getDocumentLabel(doc)}` :
+            event.kind === 'version' ? `new version: ${getDocumentLabel(event.before)} → ${getDocumentLabel(doc)}` :
+            `document replaced: ${getDocumentLabel(doc)} (same listing entry, new file)`;
+        const added = event.kind === 'removed' ? [] : [line(doc)];
+        const removed = event.before ? [line(event.before)] : [];
+        
+        const change = createChange(source, {
+            name: `${source.name}: ${summary}`,
+            url: event.kind === 'removed' ? source.url : doc.url,
+            previousCheck: previous.lastChecked,
+            summary,
+            diff: { added, removed, addedCount: added.length, removedCount: removed.length, truncated: false },
+            document: { key: event.key, kind: event.kind, title: doc.title, url: doc.url, version: doc.version, date: doc.date, hash: doc.hash || null }
+        });
+        applyWatchlist(source, change);
+        return { subject: event.key, version: getVersion(documents[event.key]), base: getVersion(event.before), change };
+    });
+    
+    state.history[source.url] = {
+        documents,
+        finalUrl: response.finalUrl,
+        httpStatus: response.httpStatus,
+        bytes: response.bytes,
+        duration: response.duration,
+        attempts: response.attempts,
+        redirects: response.redirects,
+        lastChecked: now,
+        name: source.name,
+        category: source.category,
+        status: 'checked'
+    };
+    addLog('info', `${Object.keys(documents).length} document(s) listed on ${source.name}${known ? '' : ' - stored as baseline'}`);
+    return { candidates };
+}
+
+// News items on a listing page: every h2-h4 headline that links to an article, with the date and teaser
+// around it. Items are keyed by their link so a reworded headline is an edit, not a new article.
+function extractNewsItems(source, html, baseUrl) {
+    const rule = source.extract || {};
+    const section = (rule.selector && selectElement(html, rule.selector)) || html;
+    const headings = [...section.matchAll(/<h([2-4])\b[^>]*>([\s\S]*?)<\/h\1>/gi)];
+    const items = [];
+    const seen = new Set();
+    
+    headings.forEach((heading, index) => {
+        const start = heading.index;
+        const end = start + heading[0].length;
+        const beforeStart = Math.max(index > 0 ? headings[index - 1].index + headings[index - 1][0].length : 0, start - 500);
+        const before = section.slice(beforeStart, start);
+        let scope = section.slice(end, Math.min(index < headings.length - 1 ? headings[index + 1].index : section.length, end + 1500));
+        let after = scope;
+        
+        // The link is either inside the headline or a card-wide <a> that opens just before it; a card
+        // holds the item's date and teaser, otherwise they follow the headline
+        let href = getAttribute((/<a\s([^>]*)>/i.exec(heading[2]) || [])[1] || '', 'href');
+        if (!href) {
+            const openers = [...before.matchAll(/<a\s([^>]*)>/gi)];
+            const last = openers[openers.length - 1];
+            if (last && !before.slice(last.index).includes('</a>')) {
+                href = getAttribute(last[1], 'href');
+                const cardEnd = section.indexOf('</a>', end);
+                after = section.slice(end, cardEnd < 0 ? undefined : cardEnd);
+                scope = section.slice(beforeStart + last.index, cardEnd < 0 ? undefined : cardEnd);
+            }
+        }
+        const headline = htmlToText(heading[2]).replace(/\n/g, ' ');
+        if (!href || !headline) return;
+        
+        let url;
+        try {
+            url = new URL(href.replace(/&amp;/g, '&'), baseUrl);
+        } catch (error) {
+            return;
+        }
+        url.hash = '';
+        if (seen.has(url.href)) return;
+        seen.add(url.href);
+        
+        const time = /<time\b[^>]*datetime\s*=\s*["']([^"']+)["']/i.exec(scope);
+        const date = time ? parseLooseDate(time[1].slice(0, 10)) :
+            parseLooseDate((/\b(\d{4}-\d{2}-\d{2}|\d{1,2}[./]\d{1,2}[./]\d{4}|\d{1,2} (?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]* \d{4})\b/.exec(htmlToText(scope)) || [])[1]);
+        const teaser = htmlToText((/<p\b[^>]*>([\s\S]*?)<\/p>/i.exec(after) || [])[1] || '').replace(/\n/g, ' ');
+        
+        items.push({ url: url.href, headline, date, teaser: teaser.length > 300 ? teaser.slice(0, 297) + '...' : teaser });
+    });
+    return items.slice(0, CONFIG.NEWS.MAX_ITEMS);
+}
+
+// One change per new article; edited headlines, articles pulled from the listing and pulled articles that
+// return are reported too
+async function checkNews(source, previous) {
+    const response = await fetchPage(source.url);
+    const items = extractNewsItems(source, response.body, response.finalUrl);
+    const known = (previous && previous.items) || null;
+    if (known && Object.values(known).some(item => item.listed) && items.length === 0) {
+        throw new Error('No news items found on the listing - check the extraction rule');
+    }
+    
+    const now = new Date().toISOString();
+    const seen = { ...known };
+    const events = [];
+    
+    items.forEach((item, position) => {
+        const before = known && known[item.url];
+        seen[item.url] = { ...item, position, listed: true, firstSeen: before ? before.firstSeen : now, lastSeen: now };
+        if (!known) return;
+        if (!before) events.push({ kind: 'new', item });
+        else if (before.removed) events.push({ kind: 'restored', item, before });
+        else if (before.headline !== item.headline) events.push({ kind: 'edited', item, before });
+    });
+    
+    if (known) {
+        // Older articles drop off the end of a listing as new ones arrive; only an article missing while
+        // something listed after it is still there was actually taken down
+        const stillListed = Object.values(known).filter(item => item.listed && seen[item.url].lastSeen === now);
+        const lastPosition = Math.max(-1, ...stillListed.map(item => item.position));
+        Object.values(known)
+            .filter(item => item.listed && seen[item.url].lastSeen !== now)
+            .forEach(item => {
+                const removed = item.position < lastPosition;
+                seen[item.url] = { ...item, listed: false, removed };
+                if (removed) events.push({ kind: 'removed', item, before: item });
+            });
+    }
+    
+    const candidates = events.reverse().map(({ kind, item, before }) => {
+        const label = { new: 'New', edited: 'Edited', removed: 'Removed', restored: 'Restored' }[kind];
+        const lines = entry => [entry.headline, entry.teaser].filter(Boolean);
+        const added = kind === 'removed' ? [] : lines(item);
+        const removed = before && !before.removed ? lines(before) : [];
+        const change = createChange(source, {
+            name: `${label} ${source.category} news: ${item.headline}`,
+            url: kind === 'removed' ? source.url : item.url,
+            previousCheck: previous.lastChecked,
+            diff: { added, removed, addedCount: added.length, removedCount: removed.length, truncated: false },
+            news: { kind, headline: item.headline, url: item.url, date: item.date, teaser: item.teaser, previousHeadline: before ? before.headline : null }
+        });
+        applyWatchlist(source, change);
+        return {
+            subject: item.url,
+            version: kind === 'removed' ? null : item.headline,
+            base: before && !before.removed ? before.headline : null,
+            change
+        };
+    });
+    
+    // Forget the oldest articles no longer listed once the memory is full
+    const remembered = Object.values(seen).sort((a, b) => b.lastSeen.localeCompare(a.lastSeen)).slice(0, CONFIG.NEWS.MAX_SEEN);
+    state.history[source.url] = {
+        items: Object.fromEntries(remembered.map(item => [item.url, item])),
+        finalUrl: response.finalUrl,
+        httpStatus: response.httpStatus,
+        bytes: response.bytes,
+        duration: response.duration,
+        attempts: response.attempts,
+        redirects: response.redirects,
+        lastChecked: now,
+        name: source.name,
+        category: source.category,
+        status: 'checked'
+    };
+    addLog('info', `${items.length} news item(s) listed on ${source.name}${known ? '' : ' - stored as baseline'}`);
+    return { candidates };
+}
+
+async function checkPage(source, previous) {
+    const previousText = state.snapshots[source.url];
+    const extractKey = JSON.stringify(source.extract || null);
+    
+    // Only ask for a 304 when we still hold a comparable snapshot to fall back on
+    const canRevalidate = previous && previousText !== undefined && previous.extractKey === extractKey;
+    const response = await fetchPage(source.url, canRevalidate ? { etag: previous.etag, lastModified: previous.lastModified } : {});
+    const fetchMeta = {
+        finalUrl: response.finalUrl,
+        httpStatus: response.httpStatus,
+        bytes: response.bytes,
+        duration: response.duration,
+        attempts: response.attempts,
+        redirects: response.redirects
+    };
+    
+    if (response.notModified) {
+        state.history[source.url] = {
+            ...previous,
+            ...fetchMeta,
+            notModified: true,
+            lastChecked: new Date().toISOString(),
+            status: 'checked',
+            lastError: undefined
+        };
+        addLog('info', `Not modified: ${source.name}`);
+        return { candidates: [] };
+    }
+    
+    const page = extractContent(source, response.body);
+    const currentHash = page.hash;
+    const candidates = [];
+    let reset = false;
+    
+    const comparable = previous && previous.hash && previous.extractKey === extractKey;
+    if (!page.matched) {
+        // A consent wall or a one-off layout would otherwise read as a change against the main-content baseline
+        if (comparable && previous.extractionMatched !== false) {
+            throw Object.assign(new Error('Extraction rule did not match - keeping the previous baseline'), { fetch: fetchMeta });
+        }
+        addLog('warning', `Extraction rule did not match for ${source.name} - hashing the full page`);
+    }
+    
+    if (previous && previous.hash && !comparable) {
+        // Hashes taken under a different extraction rule are not comparable - re-baseline silently
+        addLog('info', `Extraction rule updated for ${source.name} - storing new baseline`);
+        reset = true;
+    } else if (comparable && page.matched && previous.extractionMatched === false) {
+        // The baseline was a full-page fallback, the main content is not comparable to it
+        addLog('info', `Extraction rule matches again for ${source.name} - storing new baseline`);
+        reset = true;
+    } else if (previous && previous.hash && previous.hash !== currentHash) {
+        // A change held back by the gate is re-described against the text it started from when a newer one replaces it
+        const describe = baseText => {
+            const change = createChange(source, { previousCheck: previous.lastChecked, diff: baseText !== undefined ? diffLines(baseText, page.text) : null });
+            const monitor = MONITORS[source.type || 'page'];
+            if (monitor.describe && baseText !== undefined) Object.assign(change, monitor.describe(baseText, page.text));
+            applyWatchlist(source, change);
+            return change;
+        };
+        candidates.push({
+            subject: 'page',
+            version: currentHash,
+            base: previous.hash,
+            baseText: previousText,
+            change: describe(previousText),
+            rebase: pending => describe(pending.baseText)
+        });
+    }
+    
+    state.history[source.url] = {
+        hash: currentHash,
+        extractKey,
+        extractionMatched: page.matched,
+        ...fetchMeta,
+        etag: response.etag,
+        lastModified: response.lastModified,
+        notModified: false,
+        lastChecked: new Date().toISOString(),
+        name: source.name,
+        category: source.category,
+        status: 'checked'
+    };
+    if (!previous || previous.hash !== currentHash) {
+        appendRecord('snapshots', { timestamp: state.history[source.url].lastChecked, url: source.url, hash: currentHash, text: page.text });
+    }
+    state.snapshots[source.url] = page.text;
+    return { candidates, reset };
+}
+
+// Confirmation, flap detection and cooldown for every monitor type. Monitors report candidates: a change, the
+// `subject` it is about (the page, an article, a document, a certificate) and the `version` the subject moved to
+// from `base`, null while the subject does not exist. Each subject keeps its recent versions; a candidate must
+// persist for `required` successful checks and is held while its subject flaps or the source is in cooldown.
+// A confirmed return to a version that was alerted on recently is still reported, at low priority.
+function gateCandidates(source, previous, candidates, reset) {
+    const limit = CONFIG.CHANGES.FLAP_WINDOW;
+    const before = (previous && previous.gate) || { subjects: {}, flapping: false, lastAlertAt: null };
+    const gate = { subjects: {}, flapping: false, lastAlertAt: before.lastAlertAt };
+    const known = reset ? {} : before.subjects;
+    const bySubject = new Map(candidates.map(candidate => [candidate.subject, candidate]));
+    const cooldownEnd = getCooldownEnd(source, before);
+    const now = new Date().toISOString();
+    const changes = [];
+    
+    for (const subject of new Set([...Object.keys(known), ...bySubject.keys()])) {
+        const candidate = bySubject.get(subject);
+        const entry = known[subject] ?
+            { ...known[subject] } :
+            { base: candidate.base, observed: [candidate.base], baselines: [candidate.base], pending: null, flapping: false };
+        entry.observed = [...entry.observed, candidate ? candidate.version : entry.observed[entry.observed.length - 1]].slice(-limit);
+        entry.flapping = countOscillations(entry.observed) >= CONFIG.CHANGES.FLAP_THRESHOLD;
+        let pending = entry.pending;
+        
+        if (candidate) {
+            // Held changes were already listed as suppressed when they were confirmed
+            if (pending && !pending.held) {
+                recordSuppressed(source, pending, 'unconfirmed',
+                    `${candidate.version === pending.base ? 'Reverted' : 'Replaced'} after ${pending.count} of ${pending.required} check(s)`);
+            }
+            const base = pending ? pending.base : candidate.base;
+            let change = candidate.change;
+            if (pending && pending.base !== candidate.base) {
+                change = candidate.rebase ? candidate.rebase(pending) : rebaseChange(pending.change, change);
+                change.previousCheck = pending.change.previousCheck;
+            }
+            pending = candidate.version === base ? null : {
+                version: candidate.version,
+                base,
+                ...(candidate.baseText !== undefined ? { baseText: pending ? pending.baseText : candidate.baseText } : {}),
+                count: 1,
+                required: source.confirmations || CONFIG.CHANGES.CONFIRMATIONS,
+                since: now,
+                held: null,
+                change
+            };
+        } else if (pending) {
+            pending = { ...pending, count: pending.count + 1 };
+        }
+        
+        if (pending && pending.count >= pending.required) {
+            const held = entry.flapping ? 'flapping' : cooldownEnd > Date.now() ? 'cooldown' : null;
+            if (held && held !== pending.held) {
+                recordSuppressed(source, pending, held, held === 'flapping' ?
+                    'Held until the source stops oscillating' :
+                    `Held until the alert cooldown ends at ${new Date(cooldownEnd).toISOString()}`);
+            }
+            if (held) {
+                pending = { ...pending, held };
+            } else {
+                const change = pending.change;
+                if (entry.baselines.includes(pending.version)) {
+                    // A/B variants and CDN nodes serving an older copy
+                    Object.assign(change, { priority: 'low', reverted: true, tags: [...(change.tags || []), 'revert'] });
+                }
+                changes.push(change);
+                entry.base = pending.version;
+                entry.baselines = [...entry.baselines, pending.version].slice(-limit);
+                gate.lastAlertAt = now;
+                pending = null;
+            }
+        }
+        entry.pending = pending;
+        
+        // A subject that has been settled for the whole window has nothing left to compare
+        if (!pending && entry.observed.length >= limit && entry.observed.every(version => version === entry.base)) continue;
+        gate.subjects[subject] = entry;
+        gate.flapping = gate.flapping || entry.flapping;
+    }
+    
+    if (gate.flapping && !before.flapping) addLog('warning', `🔁 ${source.name} is flapping between versions - alerts are held until it settles`);
+    if (!gate.flapping && before.flapping) addLog('info', `${source.name} stopped flapping`);
+    state.history[source.url].gate = gate;
+    changes.forEach(recordChange);
+    return changes;
+}
+
+// A change replacing one still awaiting confirmation is reported against what the subject was before either
+function rebaseChange(pending, change) {
+    if (!change.diff || !pending.diff) return { ...change };
+    return { ...change, diff: { ...change.diff, removed: pending.diff.removed, removedCount: pending.diff.removedCount } };
+}
+
+// Returns to a version seen earlier in the window, not counting the one just before (A → B → A counts once)
+function countOscillations(versions) {
+    return versions.filter((version, index) => index > 1 && version !== versions[index - 1] && versions.slice(0, index - 1).includes(version)).length;
+}
+
+// Capped so a value stored before validation was tightened still yields a valid date
+function getCooldownEnd(source, history) {
+    const minutes = Math.min(source.cooldownMinutes !== undefined ? source.cooldownMinutes : CONFIG.CHANGES.COOLDOWN_MINUTES, CONFIG.CHANGES.MAX_COOLDOWN_MINUTES);
+    const end = history.lastAlertAt && minutes > 0 ? Date.parse(history.lastAlertAt) + minutes * 60000 : 0;
+    return Number.isFinite(end) ? end : 0;
+}
+
+// Repeats of the latest suppression for a subject (same reason and version) are counted instead of listed again
+function recordSuppressed(source, pending, reason, detail) {
+    const now = new Date().toISOString();
+    const subject = pending.change.name;
+    const latest = state.suppressed.find(entry => entry.source === source.id && entry.name === subject);
+    if (latest && latest.reason === reason && latest.version === pending.version) {
+        latest.count++;
+        latest.lastSeen = now;
+        return;
+    }
+    const diff = pending.change.diff;
+    state.suppressed.unshift({
+        id: createChangeId(),
+        source: source.id,
+        name: subject,
+        category: source.category,
+        url: pending.change.url,
+        reason,
+        detail,
+        version: pending.version,
+        diffSummary: diff ? { added: diff.addedCount, removed: diff.removedCount } : null,
+        timestamp: now,
+        lastSeen: now,
+        count: 1
+    });
+    if (state.suppressed.length > CONFIG.CHANGES.MAX_SUPPRESSED) state.suppressed = state.suppressed.slice(0, CONFIG.CHANGES.MAX_SUPPRESSED);
+    addLog('info', `🔕 Suppressed detection on ${subject} (${reason}): ${detail}`);
+}
+
+const PRIORITY_COLORS = { critical: '#ff4444', high: '#ff8800', medium: '#ffbb00', low: '#cbd5e0' };
+const PRIORITY_EMOJI = { critical: '🔴', high: '🟠', medium: '🟡', low: '⚪' };
+
+// Each channel type turns a batch of changes into the payload its webhook expects
+const NOTIFIERS = {
+    discord: {
+        label: 'Discord',
+        format(changes, options = {}) {
+            return chunk(changes, 10).map((batch, index) => ({
+                content: index === 0 ? `${getAlertHeadline(changes, options)}\n${getAlertSubtitle(changes, options)}` : undefined,
+                embeds: batch.map(change => ({
+                    title: `${change.category}: ${change.name}`.slice(0, 256),
+                    url: change.url,
+                    color: parseInt((PRIORITY_COLORS[change.priority] || PRIORITY_COLORS.low).slice(1), 16),
+                    fields: [
+                        { name: 'Category', value: change.category, inline: true },
+                        { name: 'Priority', value: `${PRIORITY_EMOJI[change.priority] || '⚪'} ${(change.priority || 'medium').toUpperCase()}`, inline: true },
+                        ...(change.diff ? [{ name: 'Diff', value: `+${change.diff.addedCount} / −${change.diff.removedCount} lines`, inline: true }] : []),
+                        ...(getDetailLines(change, options).length > 0 ?
+                            [{ name: 'Details', value: getDetailLines(change, options).join('\n').slice(0, 1024) }] : [])
+                    ],
+                    timestamp: change.timestamp
+                }))
+            }));
+        }
+    },
+    slack: {
+        label: 'Slack',
+        format(changes, options = {}) {
+            return chunk(changes, 20).map((batch, index) => ({
+                text: `${getAlertHeadline(changes, options)} - ${getAlertSubtitle(changes, options)}`,
+                blocks: [
+                    ...(index === 0 ? [
+                        { type: 'header', text: { type: 'plain_text', text: getAlertHeadline(changes, options).slice(0, 150), emoji: true } },
+                        { type: 'context', elements: [{ type: 'mrkdwn', text: getAlertSubtitle(changes, options) }] },
+                        { type: 'divider' }
+                    ] : []),
+                    ...batch.map(change => ({
+                        type: 'section',
+                        text: {
+                            type: 'mrkdwn',
+                            text: `${PRIORITY_EMOJI[change.priority] || '⚪'} *<${change.url}|${escapeSlack(change.name)}>*\n` +
+                                `*${change.category}* · ${(change.priority || 'medium').toUpperCase()}` +
+                                (change.diff ? ` · +${change.diff.addedCount} / −${change.diff.removedCount} lines` : '') +
+                                getDetailLines(change, options).map(line => `\n>${escapeSlack(line)}`).join('')
+                        }
+                    })),
+                    {
+                        type: 'actions',
+                        elements: [{ type: 'button', text: { type: 'plain_text', text: '📊 View dashboard' }, url: CONFIG.DASHBOARD_URL }]
+                    }
+                ]
+            }));
+        }
+    },
+    teams: {
+        label: 'Teams',
+        format(changes, options = {}) {
+            const top = getTopPriority(changes);
+            const batches = chunk(changes, 10);
+            return batches.map((batch, index) => ({
+                '@type': 'MessageCard',
+                '@context': 'https://schema.org/extensions',
+                themeColor: (PRIORITY_COLORS[top] || PRIORITY_COLORS.low).slice(1),
+                summary: getAlertHeadline(changes, options),
+                title: getAlertHeadline(changes, options) + (batches.length > 1 ? ` (${index + 1}/${batches.length})` : ''),
+                text: index === 0 ? getAlertSubtitle(changes, options) : undefined,
+                sections: batch.map(change => ({
+                    activityTitle: `${PRIORITY_EMOJI[change.priority] || '⚪'} ${change.category}: ${change.name}`,
+                    activitySubtitle: change.url,
+                    facts: [
+                        { name: 'Category', value: change.category },
+                        { name: 'Priority', value: (change.priority || 'medium').toUpperCase() },
+                        ...(change.diff ? [{ name: 'Diff', value: `+${change.diff.addedCount} / −${change.diff.removedCount} lines` }] : [])
+                    ],
+                    text: getDetailLines(change, options).join('<br>') || undefined,
+                    potentialAction: [{ '@type': 'OpenUri', name: 'Open source', targets: [{ os: 'default', uri: change.url }] }]
+                })),
+                potentialAction: [{ '@type': 'OpenUri', name: 'View dashboard', targets: [{ os: 'default', uri: CONFIG.DASHBOARD_URL }] }]
+            }));
+        }
+    },
+    email: {
+        label: 'Email',
+        async send(channel, changes, options = {}) {
+            // Each change goes to its category's recipient list, falling back to the channel-wide list
+            const groups = new Map();
+            const defaultRecipients = Array.isArray(channel.to) ? channel.to : splitList(channel.to);
+            for (const change of changes) {
+                const recipients = (channel.recipients && channel.recipients[change.category]) || defaultRecipients;
+                if (recipients.length === 0) continue;
+                const key = recipients.join(',');
+                if (!groups.has(key)) groups.set(key, { recipients, changes: [] });
+                groups.get(key).changes.push(change);
+            }
+            if (groups.size === 0) throw new Error('No email recipients configured');
+            
+            for (const group of groups.values()) {
+                await sendMail({ port: 587, ...channel }, {
+                    to: group.recipients,
+                    subject: getEmailSubject(group.changes, options),
+                    text: renderEmailText(group.changes, options),
+                    html: renderEmailHTML(group.changes, options)
+                });
+            }
+        }
+    },
+    webhook: {
+        label: 'Webhook',
+        format(changes, options = {}) {
+            let message = `${getAlertHeadline(changes, options)}\n\n${getAlertSubtitle(changes, options)}\n\n`;
+            for (const change of changes) {
+                message += `${PRIORITY_EMOJI[change.priority] || '⚪'} **${change.category}**: ${change.name}\n`;
+                message += `🔗 ${change.url}\n`;
+                getDetailLines(change, options).forEach(line => { message += `${line}\n`; });
+                message += '\n';
+            }
+            message += `📊 View dashboard: ${CONFIG.DASHBOARD_URL}`;
+            return [{ text: message }];
+        }
+    }
+};
+
+// The channels are read on every outbox run, so each configuration problem is logged once rather than every minute
+const loggedChannelErrors = new Set();
+
+function logChannelError(message) {
+    if (loggedChannelErrors.has(message)) return;
+    loggedChannelErrors.add(message);
+    addLog('error', message);
+}
+
+function getNotificationChannels() {
+    const channels = [];
+    
+    if (CONFIG.NOTIFY_CHANNELS) {
+        try {
+            JSON.parse(CONFIG.NOTIFY_CHANNELS).forEach((channel, index) => channels.push({
+                id: channel.id || `${channel.type}-${index + 1}`,
+                name: channel.name || (NOTIFIERS[channel.type] ? NOTIFIERS[channel.type].label : channel.type),
+                ...channel
+            }));
+        } catch (error) {
+            logChannelError(`Invalid NOTIFY_CHANNELS configuration: ${error.message}`);
+        }
+    }
+    
+    if (CONFIG.WEBHOOK_URL) {
+        const type = detectWebhookType(CONFIG.WEBHOOK_URL);
+        if (type) channels.push({ id: 'default', type, name: NOTIFIERS[type].label, url: CONFIG.WEBHOOK_URL });
+        else logChannelError('WEBHOOK_URL is not a valid http(s) URL - the default webhook channel is disabled');
+    }
+    
+    if (CONFIG.SMTP.host) {
+        const recipients = {};
+        for (const category of CATEGORIES) {
+            const list = splitList(process.env[`SMTP_TO_${category}`]);
+            if (list.length > 0) recipients[category] = list;
+        }
+        channels.push({
+            id: 'email',
+            type: 'email',
+            name: 'Email',
+            ...CONFIG.SMTP,
+            to: splitList(CONFIG.SMTP.to),
+            recipients
+        });
+    }
+    
+    return channels.map(channel => ({
+        mode: CONFIG.NOTIFICATIONS.MODE,
+        quietHours: CONFIG.NOTIFICATIONS.QUIET_HOURS,
+        timeZone: CONFIG.NOTIFICATIONS.TIME_ZONE,
+        locale: CONFIG.NOTIFICATIONS.LOCALE,
+        digestHour: CONFIG.NOTIFICATIONS.DIGEST_HOUR,
+        digestWeekday: CONFIG.NOTIFICATIONS.DIGEST_WEEKDAY,
+        ...channel
+    })).filter(channel => {
+        if (!NOTIFIERS[channel.type]) {
+            logChannelError(`Unknown notification channel type "${channel.type}" for ${channel.id}`);
+            return false;
+        }
+        if (!NOTIFIERS[channel.type].send && !detectWebhookType(channel.url)) {
+            logChannelError(`Notification channel ${channel.id} needs a valid http(s) url`);
+            return false;
+        }
+        const error = getDeliveryError(channel);
+        if (error) {
+            logChannelError(`Invalid delivery settings for notification channel ${channel.id}: ${error}`);
+            return false;
+        }
+        return true;
+    });
+}
+
+function getDeliveryError(channel) {
+    if (!DELIVERY_MODES.includes(channel.mode)) return `mode must be one of ${DELIVERY_MODES.join(', ')}`;
+    if (channel.quietHours && !parseQuietHours(channel.quietHours)) return 'quietHours must look like 22:00-07:00';
+    if (!Number.isInteger(channel.digestHour) || channel.digestHour < 0 || channel.digestHour > 23) return 'digestHour (NOTIFY_DIGEST_HOUR) must be an hour from 0 to 23';
+    if (!Number.isInteger(channel.digestWeekday) || channel.digestWeekday < 0 || channel.digestWeekday > 6) return 'digestWeekday (NOTIFY_DIGEST_WEEKDAY) must be a day from 0 (Sunday) to 6';
+    try {
+        new Intl.DateTimeFormat(channel.locale, { timeZone: channel.timeZone });
+    } catch (error) {
+        return `invalid timeZone or locale (${error.message})`;
+    }
+    return null;
+}
+
+// null when the URL is not a usable http(s) URL
+function detectWebhookType(webhookUrl) {
+    let parsed;
+    try {
+        parsed = new URL(webhookUrl);
+    } catch (error) {
+        return null;
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return null;
+    const host = parsed.hostname;
+    if (/(^|\.)discord(app)?\.com$/.test(host)) return 'discord';
+    if (host === 'hooks.slack.com') return 'slack';
+    if (/\.webhook\.office\.com$|\.logic\.azure\.com$/.test(host)) return 'teams';
+    return 'webhook';
+}
+
+// Section-level changes (`§ Article 3(b) amended`) followed by one line per watchlist hit
+// (`🎯 "CN code" (added): …the CN code list…`); deadline reminders list who the deadline applies to.
+// Digests and held notifications also say when each change was detected.
+function getDetailLines(change, options = {}) {
+    if (change.deadline) return [`📅 Applies to ${change.deadline.applicability.join('/')} operators`];
+    const sections = (change.sections || []).slice(0, 5).map(section => `§ ${section.label}`);
+    if (change.sections && change.sections.length > 5) sections.push(`§ … and ${change.sections.length - 5} more section change(s)`);
+    return [
+        ...(options.digest || options.held ? [`🕒 Detected ${formatTime(change.timestamp, options)}`] : []),
+        ...sections,
+        ...(change.reverted ? ['↩️ Back to a version seen recently - reported at low priority'] : []),
+        ...(change.watchlistMatches || []).map(match => `🎯 "${match.term}" (${match.side}): ${match.snippet}`)
+    ];
+}
+
+function getTopPriority(changes) {
+    return PRIORITIES.find(p => changes.some(c => c.priority === p)) || 'medium';
+}
+
+function getAlertHeadline(changes, options = {}) {
+    if (options.digest) return `📬 EUDR/FSC ${options.digest} Digest`;
+    if (options.reminder) return '⏰ EUDR/FSC Deadline Reminder';
+    return changes.some(c => c.priority === 'critical') ?
+        '🚨🚨 CRITICAL EUDR/FSC UPDATE 🚨🚨' :
+        '🚨 EUDR/FSC Change Alert';
+}
+
+function getAlertSubtitle(changes, options = {}) {
+    if (options.digest) return `${changes.length} change(s) since the last digest, as of ${formatTime(new Date(), options)}`;
+    if (options.held) return `${changes.length} notification(s) held during quiet hours, sent ${formatTime(new Date(), options)}`;
+    if (options.reminder) return `${changes.length} compliance deadline(s) approaching`;
+    return `${changes.length} change(s) detected at ${formatTime(new Date(), options)}`;
+}
+
+// Message timestamps in the channel's time zone and locale
+function formatTime(value, options = {}) {
+    return new Date(value).toLocaleString(options.locale || CONFIG.NOTIFICATIONS.LOCALE, {
+        timeZone: options.timeZone || CONFIG.NOTIFICATIONS.TIME_ZONE,
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit',
+        timeZoneName: 'short'
+    });
+}
+
+function escapeSlack(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function chunk(items, size) {
+    const batches = [];
+    for (let i = 0; i < items.length; i += size) batches.push(items.slice(i, i + size));
+    return batches;
+}
+
+function splitList(value) {
+    return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function countNotification(channel, result) {
+    const key = JSON.stringify([channel.id, channel.type, result]);
+    metrics.notifications.set(key, (metrics.notifications.get(key) || 0) + 1);
+}
+
+function getDiffExcerpt(diff, maxLines = 6) {
+    if (!diff) return [];
+    return [
+        ...diff.removed.map(line => `− ${line}`),
+        ...diff.added.map(line => `+ ${line}`)
+    ].slice(0, maxLines).map(line => line.length > 200 ? line.slice(0, 197) + '...' : line);
+}
+
+// Changes a channel is not ready for (digest modes, quiet hours) go to the persistent outbox instead
+async function sendNotifications(changes, channels = getNotificationChannels(), options = {}) {
+    const results = [];
+    
+    for (const delivery of routeNotifications(changes, channels, options)) {
+        const immediate = [];
+        const held = {};
+        for (const change of delivery.changes) {
+            const reason = options.test ? null : getHoldReason(delivery.channel, change);
+            if (!reason) {
+                immediate.push(change);
+                continue;
+            }
+            queueNotification(delivery, change, reason);
+            held[reason] = (held[reason] || 0) + 1;
+        }
+        for (const [reason, count] of Object.entries(held)) {
+            addLog('info', `📬 ${count} notification(s) for ${delivery.channel.name}${getRecipientLabel(delivery)} held for the ${reason === 'quiet' ? 'end of quiet hours' : `${reason} digest`}`);
+        }
+        if (Object.keys(held).length > 0) saveState();
+        if (immediate.length > 0) results.push(await deliverNotification(delivery, immediate, options));
+    }
+    
+    return results;
+}
+
+async function deliverNotification({ channel, subscriptions }, changes, options = {}) {
+    const recipient = getRecipientLabel({ subscriptions });
+    const formatOptions = { ...options, timeZone: channel.timeZone, locale: channel.locale };
+    const result = { channel: channel.id, subscriptions: subscriptions.map(s => s.id), changes: changes.length };
+    try {
+        const notifier = NOTIFIERS[channel.type];
+        if (notifier.send) {
+            await notifier.send(channel, changes, formatOptions);
+        } else {
+            for (const payload of notifier.format(changes, formatOptions)) {
+                await postJson(channel.url, payload);
+            }
+        }
+        addLog('success', `✅ ${channel.name} notification sent${recipient}`);
+        countNotification(channel, 'success');
+        return { ...result, success: true };
+    } catch (error) {
+        addLog('error', `${channel.name} notification${recipient} failed: ${error.message}`);
+        countNotification(channel, 'failure');
+        return { ...result, success: false, error: error.message, failed: changes.map(change => change.id) };
+    }
+}
+
+function getRecipientLabel({ subscriptions }) {
+    return subscriptions.length > 0 ? ` to ${subscriptions.map(s => s.name).join(', ')}` : '';
+}
+
+// Digest channels hold everything for their next digest; immediate channels hold watchlist-unmatched changes
+// for the daily digest and everything but critical changes during quiet hours
+function getHoldReason(channel, change) {
+    if (channel.mode !== 'immediate') return channel.mode;
+    if (isDigestOnly(change)) return 'daily';
+    if (change.priority !== 'critical' && isQuietTime(channel)) return 'quiet';
+    return null;
+}
+
+// One outbox bucket per channel, recipient list and reason; tracked changes are stored by ID and their diffs read
+// back from the journal when the bucket is sent
+function queueNotification({ channel, to, subscriptions }, change, reason) {
+    const key = (to || []).join(',');
+    let bucket = state.outbox.find(b => b.channel === channel.id && b.reason === reason && (b.to || []).join(',') === key);
+    if (!bucket) {
+        bucket = { channel: channel.id, to, reason, dueAt: getNextDelivery(reason, channel), subscriptions: [], items: [] };
+        state.outbox.push(bucket);
+    }
+    subscriptions.forEach(subscription => {
+        if (!bucket.subscriptions.includes(subscription.id)) bucket.subscriptions.push(subscription.id);
+    });
+    if (!bucket.items.some(item => item.id === change.id)) {
+        bucket.items.push(state.changes.some(c => c.id === change.id) ? { id: change.id } : { id: change.id, change });
+    }
+}
+
+// Sends the outbox buckets that are due; nothing leaves while its channel is in quiet hours. A bucket stays in
+// the outbox until its delivery succeeds, failed ones are retried with a growing delay.
+async function sendQueuedNotifications() {
+    const channels = getNotificationChannels();
+    const now = Date.now();
+    
+    for (const bucket of state.outbox.filter(b => new Date(b.dueAt).getTime() <= now && !sendingBuckets.has(b))) {
+        const channel = channels.find(c => c.id === bucket.channel);
+        if (channel && isQuietTime(channel)) continue;
+        if (!channel) {
+            const dropped = bucket.items.length;
+            removeFromOutbox(bucket, bucket.items);
+            addLog('warning', `Dropped ${dropped} queued notification(s) for unknown channel ${bucket.channel}`);
+            continue;
+        }
+        const items = [...bucket.items];
+        const tracked = state.changes.filter(change => items.some(item => !item.change && item.id === change.id));
+        const known = new Map(loadChangeDetails(tracked).map(change => [change.id, change]));
+        const changes = items.map(item => item.change || known.get(item.id)).filter(Boolean);
+        if (changes.length === 0) {
+            removeFromOutbox(bucket, items);
+            continue;
+        }
+        
+        const delivery = {
+            channel: bucket.to ? { ...channel, to: bucket.to, recipients: {} } : channel,
+            subscriptions: state.subscriptions.filter(s => bucket.subscriptions.includes(s.id))
+        };
+        const options = bucket.reason === 'quiet'
+            ? { held: true, reminder: changes.every(change => change.deadline) }
+            : { digest: bucket.reason.charAt(0).toUpperCase() + bucket.reason.slice(1) };
+        addLog('info', `📬 Sending ${bucket.reason === 'quiet' ? 'held notifications' : `${bucket.reason} digest`} (${changes.length}) via ${channel.name}`);
+        // Guards against the next minute's run sending the same bucket while a slow delivery is in progress
+        sendingBuckets.add(bucket);
+        let result;
+        try {
+            result = await deliverNotification(delivery, changes, options);
+        } finally {
+            sendingBuckets.delete(bucket);
+        }
+        if (result.success) {
+            // Changes queued into the bucket while it was being sent stay for the next run
+            removeFromOutbox(bucket, items);
+        } else {
+            bucket.attempts = (bucket.attempts || 0) + 1;
+            const delay = Math.min(CONFIG.NOTIFICATIONS.RETRY_MINUTES * Math.pow(2, bucket.attempts - 1), 360);
+            bucket.dueAt = new Date(Date.now() + delay * 60000).toISOString();
+            bucket.lastError = result.error;
+            addLog('warning', `Keeping ${changes.length} queued notification(s) for ${channel.name}${getRecipientLabel(delivery)} - retrying in ${delay} minutes`);
+            saveState();
+        }
+    }
+}
+
+function removeFromOutbox(bucket, items) {
+    bucket.items = bucket.items.filter(item => !items.includes(item));
+    if (bucket.items.length === 0 && state.outbox.includes(bucket)) state.outbox.splice(state.outbox.indexOf(bucket), 1);
+    delete bucket.attempts;
+    delete bucket.lastError;
+    saveState();
+}
+
+function parseQuietHours(value) {
+    const match = /^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/.exec(value || '');
+    if (!match) return null;
+    const [startHour, startMinute, endHour, endMinute] = match.slice(1).map(Number);
+    if (startHour > 23 || endHour > 23 || startMinute > 59 || endMinute > 59) return null;
+    const quiet = { start: startHour * 60 + startMinute, end: endHour * 60 + endMinute };
+    return quiet.start === quiet.end ? null : quiet;
+}
+
+function isQuietTime(channel, date = new Date()) {
+    const quiet = parseQuietHours(channel.quietHours);
+    if (!quiet) return false;
+    const { minutes } = getLocalTime(date, channel.timeZone);
+    return quiet.start < quiet.end ? minutes >= quiet.start && minutes < quiet.end : minutes >= quiet.start || minutes < quiet.end;
+}
+
+// Day of week and minute of day on the wall clock of a time zone
+function getLocalTime(date, timeZone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', { timeZone, weekday: 'short', hour: 'numeric', minute: 'numeric', hourCycle: 'h23' })
+        .formatToParts(date)
+        .forEach(part => { parts[part.type] = part.value; });
+    return {
+        weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday),
+        minutes: (parseInt(parts.hour, 10) % 24) * 60 + parseInt(parts.minute, 10)
+    };
+}
+
+// Next digest slot or end of quiet hours in the channel's time zone. Across a DST switch this can be an hour
+// off, which is harmless: held buckets are checked against quiet hours again before they are sent.
+function getNextDelivery(reason, channel, from = new Date()) {
+    const { weekday, minutes } = getLocalTime(from, channel.timeZone);
+    const digestAt = channel.digestHour * 60;
+    let wait;
+    if (reason === 'hourly') {
+        wait = 60 - minutes % 60;
+    } else if (reason === 'daily') {
+        wait = (digestAt - minutes + 1440) % 1440 || 1440;
+    } else if (reason === 'weekly') {
+        wait = ((channel.digestWeekday - weekday + 7) % 7) * 1440 + digestAt - minutes;
+        if (wait <= 0) wait += 7 * 1440;
+    } else {
+        wait = (parseQuietHours(channel.quietHours).end - minutes + 1440) % 1440 || 1440;
+    }
+    return new Date(Math.floor(from.getTime() / 60000) * 60000 + wait * 60000).toISOString();
+}
+
+function getChannelStatus(channel) {
+    const buckets = state.outbox.filter(bucket => bucket.channel === channel.id);
+    return {
+        id: channel.id,
+        type: channel.type,
+        name: channel.name,
+        mode: channel.mode,
+        quietHours: channel.quietHours || null,
+        timeZone: channel.timeZone,
+        locale: channel.locale,
+        quiet: isQuietTime(channel),
+        queued: buckets.reduce((count, bucket) => count + bucket.items.length, 0),
+        nextDelivery: buckets.map(bucket => bucket.dueAt).sort()[0] || null
+    };
+}
+
+// Channels without subscriptions receive every change. Channels with subscriptions receive only the changes
+// their enabled subscriptions match, one delivery per recipient list, so overlapping subscriptions never send
+// twice; disabling every subscription of a channel silences it rather than opening it to all changes.
+// Test notifications bypass routing.
+function routeNotifications(changes, channels, options = {}) {
+    const subscriptions = options.test ? [] : state.subscriptions;
+    const deliveries = [];
+    
+    for (const channel of channels) {
+        const subscribed = subscriptions.filter(s => s.channel === channel.id);
+        if (subscribed.length === 0) {
+            deliveries.push({ channel, to: null, changes, subscriptions: [] });
+            continue;
+        }
+        const targets = new Map();
+        for (const subscription of subscribed.filter(s => s.enabled)) {
+            const matched = changes.filter(change => matchesSubscription(subscription, change));
+            if (matched.length === 0) continue;
+            const key = (subscription.to || []).join(',');
+            if (!targets.has(key)) {
+                targets.set(key, {
+                    channel: subscription.to ? { ...channel, to: subscription.to, recipients: {} } : channel,
+                    to: subscription.to || null,
+                    ids: new Set(),
+                    subscriptions: []
+                });
+            }
+            const target = targets.get(key);
+            matched.forEach(change => target.ids.add(change.id));
+            target.subscriptions.push(subscription);
+        }
+        for (const target of targets.values()) {
+            deliveries.push({ channel: target.channel, to: target.to, changes: changes.filter(change => target.ids.has(change.id)), subscriptions: target.subscriptions });
+        }
+    }
+    return deliveries;
+}
+
+function matchesSubscription(subscription, change) {
+    if (subscription.categories.length > 0 && !subscription.categories.includes(change.category)) return false;
+    if (PRIORITIES.indexOf(change.priority) > PRIORITIES.indexOf(subscription.minPriority)) return false;
+    if (subscription.sources.length > 0 && !subscription.sources.includes(change.source)) return false;
+    if (subscription.keywords.length === 0) return true;
+    
+    const text = [
+        change.name,
+        change.summary,
+        ...(change.diff ? [...change.diff.added, ...change.diff.removed] : []),
+        ...(change.sections || []).map(section => section.label)
+    ].filter(Boolean);
+    return subscription.keywords.some(term => {
+        const pattern = compileWatchTerm(term);
+        return text.some(line => pattern.test(line));
+    });
+}
+
+function postJson(targetUrl, payload) {
+    return new Promise((resolve, reject) => {
+        const url = new URL(targetUrl);
+        const client = url.protocol === 'http:' ? http : https;
+        const body = JSON.stringify(payload);
+        const req = client.request({
+            hostname: url.hostname,
+            port: url.port || undefined,
+            path: url.pathname + url.search,
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) },
+            timeout: 15000
+        }, (res) => {
+            res.resume();
+            if (res.statusCode >= 200 && res.statusCode < 300) {
+                resolve();
+            } else {
+                reject(new Error(`HTTP ${res.statusCode}`));
+            }
+        });
+        req.on('error', reject);
+        req.on('timeout', () => req.destroy(new Error('Timeout')));
+        req.write(body);
+        req.end();
+    });
+}
+
+function getEmailSubject(changes, options = {}) {
+    const top = getTopPriority(changes);
+    const categories = [...new Set(changes.map(c => c.category))].join('/');
+    if (options.digest) return `[EUDR/FSC Monitor] ${options.digest} digest: ${changes.length} ${categories} change(s)`;
+    if (options.reminder) return `[EUDR/FSC Monitor] Deadline reminder: ${changes.map(c => c.name).join('; ')}`;
+    return `[EUDR/FSC Monitor] ${top === 'critical' ? 'CRITICAL: ' : ''}${changes.length} ${categories} change(s) detected`;
+}
+
+function renderEmailText(changes, options = {}) {
+    let text = `${getAlertHeadline(changes, options)}\n${getAlertSubtitle(changes, options)}\n\n`;
+    for (const change of changes) {
+        text += `${(change.priority || 'medium').toUpperCase()} | ${change.category} | ${change.name}\n`;
+        text += `${change.url}\n`;
+        getDetailLines(change, options).forEach(line => { text += `  ${line}\n`; });
+        const excerpt = getDiffExcerpt(change.diff);
+        if (excerpt.length > 0) text += excerpt.map(line => `    ${line}`).join('\n') + '\n';
+        text += '\n';
+    }
+    text += `View dashboard: ${CONFIG.DASHBOARD_URL}\n`;
+    return text;
+}
+
+function renderEmailHTML(changes, options = {}) {
+    const rows = changes.map(change => {
+        const color = PRIORITY_COLORS[change.priority] || PRIORITY_COLORS.low;
+        const excerpt = getDiffExcerpt(change.diff);
+        return `
+            <tr>
+                <td style="padding:14px 16px;border-left:5px solid ${color};background:#f7fafc;">
+                    <div style="font-size:12px;color:#718096;">
+                        <strong style="color:#2d3748;">${escapeHtml(change.category)}</strong> ·
+                        <span style="background:${color};color:${change.priority === 'medium' || change.priority === 'low' ? '#333' : '#fff'};padding:2px 8px;border-radius:10px;font-weight:bold;">${escapeHtml((change.priority || 'medium').toUpperCase())}</span>
+                    </div>
+                    <div style="font-size:16px;font-weight:bold;color:#c53030;margin:6px 0;">${escapeHtml(change.name)}</div>
+                    <a href="${escapeHtml(change.url)}" style="color:#4299e1;word-break:break-all;">${escapeHtml(change.url)}</a>
+                    ${getDetailLines(change, options).map(line => `<div style="margin-top:6px;font-size:13px;color:#2d3748;">${escapeHtml(line)}</div>`).join('')}
+                    ${excerpt.length > 0 ? `<pre style="margin:10px 0 0;padding:8px;background:#fff;border:1px solid #e2e8f0;font-size:12px;white-space:pre-wrap;">${escapeHtml(excerpt.join('\n'))}</pre>` : ''}
+                </td>
+            </tr>
+            <tr><td style="height:10px;"></td></tr>`;
+    }).join('');
+    
+    return `<!DOCTYPE html>
+<html>
+<body style="margin:0;padding:20px;background:#edf2f7;font-family:-apple-system,'Segoe UI',Roboto,sans-serif;">
+    <table role="presentation" width="100%" style="max-width:640px;margin:0 auto;background:#fff;border-radius:10px;padding:20px;">
+        <tr><td style="font-size:20px;font-weight:bold;color:#2d3748;padding-bottom:4px;">${escapeHtml(getAlertHeadline(changes, options))}</td></tr>
+        <tr><td style="font-size:13px;color:#718096;padding-bottom:16px;">${escapeHtml(getAlertSubtitle(changes, options))}</td></tr>
+        ${rows}
+        <tr><td style="padding-top:10px;"><a href="${escapeHtml(CONFIG.DASHBOARD_URL)}" style="color:#667eea;font-weight:bold;">📊 View dashboard</a></td></tr>
+    </table>
+</body>
+</html>`;
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Minimal SMTP client: EHLO, optional STARTTLS, AUTH PLAIN/LOGIN, one message per session
+async function sendMail(options, message) {
+    let socket = options.secure ?
+        tls.connect({ host: options.host, port: options.port, servername: options.host, rejectUnauthorized: options.rejectUnauthorized !== false }) :
+        net.connect({ host: options.host, port: options.port });
+    const reader = createSmtpReader();
+    
+    const attach = (target) => {
+        target.setTimeout(30000, () => target.destroy(new Error('SMTP timeout')));
+        target.on('data', chunk => reader.push(chunk.toString('utf8')));
+        target.on('error', error => reader.fail(error));
+        target.on('close', () => reader.fail(new Error('SMTP connection closed')));
+    };
+    const command = async (line, expected) => {
+        if (line !== null) socket.write(line + '\r\n');
+        const reply = await reader.next();
+        if (!expected.includes(reply.code)) {
+            throw new Error(`SMTP ${reply.code} ${reply.lines.join(' ')}`);
+        }
+        return reply;
+    };
+    
+    attach(socket);
+    try {
+        await command(null, [220]);
+        const hostname = os.hostname() || 'localhost';
+        let ehlo = await command(`EHLO ${hostname}`, [250]);
+        
+        if (!options.secure) {
+            const supportsStartTLS = ehlo.lines.some(l => /^STARTTLS\b/i.test(l));
+            if (supportsStartTLS) {
+                await command('STARTTLS', [220]);
+                socket.removeAllListeners('data');
+                socket.removeAllListeners('error');
+                socket.removeAllListeners('close');
+                socket.setTimeout(0);
+                socket = tls.connect({ socket, servername: options.host, rejectUnauthorized: options.rejectUnauthorized !== false });
+                attach(socket);
+                ehlo = await command(`EHLO ${hostname}`, [250]);
+            } else if (options.requireTLS) {
+                throw new Error('SMTP server does not support STARTTLS');
+            }
+        }
+        
+        if (options.user) {
+            const mechanisms = (ehlo.lines.find(l => /^AUTH\b/i.test(l)) || '').toUpperCase();
+            if (mechanisms.includes('PLAIN') || !mechanisms.includes('LOGIN')) {
+                await command(`AUTH PLAIN ${Buffer.from(`\0${options.user}\0${options.pass}`).toString('base64')}`, [235]);
+            } else {
+                await command('AUTH LOGIN', [334]);
+                await command(Buffer.from(options.user).toString('base64'), [334]);
+                await command(Buffer.from(options.pass).toString('base64'), [235]);
+            }
+        }
+        
+        await command(`MAIL FROM:<${options.from}>`, [250]);
+        for (const recipient of message.to) {
+            await command(`RCPT TO:<${recipient}>`, [250, 251]);
+        }
+        await command('DATA', [354]);
+        await command(buildMimeMessage(options.from, message).replace(/^\./gm, '..') + '\r\n.', [250]);
+        await command('QUIT', [221]).catch(() => {});
+    } finally {
+        socket.destroy();
+    }
+}
+
+function createSmtpReader() {
+    let buffer = '';
+    let lines = [];
+    const replies = [];
+    const waiters = [];
+    let failure = null;
+    
+    return {
+        push(chunk) {
+            buffer += chunk;
+            let index;
+            while ((index = buffer.indexOf('\r\n')) >= 0) {
+                const line = buffer.slice(0, index);
+                buffer = buffer.slice(index + 2);
+                lines.push(line.slice(4));
+                // A reply ends on a line with a space (or nothing) after the code; "250-" lines continue it
+                if (/^\d{3}(?: |$)/.test(line)) {
+                    const reply = { code: parseInt(line.slice(0, 3), 10), lines };
+                    lines = [];
+                    if (waiters.length > 0) waiters.shift().resolve(reply);
+                    else replies.push(reply);
+                }
+            }
+        },
+        fail(error) {
+            failure = failure || error;
+            while (waiters.length > 0) waiters.shift().reject(failure);
+        },
+        next() {
+            if (replies.length > 0) return Promise.resolve(replies.shift());
+            if (failure) return Promise.reject(failure);
+            return new Promise((resolve, reject) => waiters.push({ resolve, reject }));
+        }
+    };
+}
+
+function buildMimeMessage(from, message) {
+    const boundary = `----=_Part_${crypto.randomBytes(12).toString('hex')}`;
+    const encodeBody = (body) => Buffer.from(body, 'utf8').toString('base64').replace(/.{1,76}/g, '$&\r\n').trimEnd();
+    const encodeHeader = (value) => /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+    
+    return [
+        `From: ${from}`,
+        `To: ${message.to.join(', ')}`,
+        `Subject: ${encodeHeader(message.subject)}`,
+        `Date: ${new Date().toUTCString()}`,
+        `Message-ID: <${crypto.randomBytes(16).toString('hex')}@${from.split('@')[1] || 'eudr-monitor'}>`,
+        'MIME-Version: 1.0',
+        `Content-Type: multipart/alternative; boundary="${boundary}"`,
+        '',
+        `--${boundary}`,
+        'Content-Type: text/plain; charset=UTF-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        encodeBody(message.text),
+        `--${boundary}`,
+        'Content-Type: text/html; charset=UTF-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        encodeBody(message.html),
+        `--${boundary}--`
+    ].join('\r\n');
+}
+
+// Structured logging: `type` is the dashboard flavour (success/info/warning/error/debug), `level` its severity.
+// Entries logged while a source is being checked carry the check and source IDs automatically.
+const LOG_LEVELS = ['error', 'warning', 'info', 'debug'];
+const logContext = new AsyncLocalStorage();
+let logFileSize = null;
+
+function addLog(type, message, context = {}) {
+    const level = type === 'success' ? 'info' : type;
+    if (LOG_LEVELS.indexOf(level) > LOG_LEVELS.indexOf(CONFIG.LOGS.LEVEL)) return;
+    
+    const entry = { timestamp: new Date().toISOString(), level, type, message, ...logContext.getStore(), ...context };
+    state.logs.unshift(entry);
+    if (state.logs.length > 100) state.logs = state.logs.slice(0, 100);
+    if (CONFIG.LOGS.CONSOLE !== 'off') {
+        const line = CONFIG.LOGS.FORMAT === 'json' ? JSON.stringify(entry) : `[${entry.timestamp}] [${type.toUpperCase()}] ${message}`;
+        (CONFIG.LOGS.CONSOLE === 'stderr' ? console.error : console.log)(line);
+    }
+    writeLogFile(entry);
+    broadcast('log', entry);
+}
+
+function getLogDir() {
+    return path.join(CONFIG.STORAGE.DIR, 'logs');
+}
+
+// monitor.log rotates to monitor.1.log ... monitor.<MAX_FILES - 1>.log once it reaches MAX_BYTES
+function writeLogFile(entry) {
+    const file = path.join(getLogDir(), 'monitor.log');
+    const line = JSON.stringify(entry) + '\n';
+    try {
+        if (logFileSize === null) {
+            fs.mkdirSync(getLogDir(), { recursive: true });
+            logFileSize = fs.existsSync(file) ? fs.statSync(file).size : 0;
+        }
+        if (logFileSize + Buffer.byteLength(line) > CONFIG.LOGS.MAX_BYTES) {
+            for (let index = CONFIG.LOGS.MAX_FILES - 1; index >= 1; index--) {
+                const from = index === 1 ? file : path.join(getLogDir(), `monitor.${index - 1}.log`);
+                if (fs.existsSync(from)) fs.renameSync(from, path.join(getLogDir(), `monitor.${index}.log`));
+            }
+            logFileSize = 0;
+        }
+        fs.appendFileSync(file, line);
+        logFileSize += Buffer.byteLength(line);
+    } catch (error) {
+        // Never recurse into addLog from here; stdout still has the entry
+        console.error(`Failed to write log file: ${error.message}`);
+        logFileSize = null;
+    }
+}
+
+// Newest first across the rotated files, each read backwards; stops reading once the requested page is complete
+async function readLogs({ levels = null, source = null, since = null, until = null, text = null, limit = 100, offset = 0 } = {}) {
+    const dir = getLogDir();
+    const files = ['monitor.log', ...Array.from({ length: CONFIG.LOGS.MAX_FILES - 1 }, (_, index) => `monitor.${index + 1}.log`)]
+        .filter(name => fs.existsSync(path.join(dir, name)));
+    const needle = text ? text.toLowerCase() : null;
+    const logs = [];
+    let matched = 0;
+    
+    for (const name of files) {
+        for await (const line of readLinesReversed(path.join(dir, name))) {
+            if (!line) continue;
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (error) {
+                continue;
+            }
+            const time = new Date(entry.timestamp);
+            if (until && time > until) continue;
+            if (since && time < since) return { logs, hasMore: false };
+            if (levels && !levels.includes(entry.level) && !levels.includes(entry.type)) continue;
+            if (source && entry.source !== source) continue;
+            if (needle && !entry.message.toLowerCase().includes(needle)) continue;
+            if (matched++ < offset) continue;
+            if (logs.length === limit) return { logs, hasMore: true };
+            logs.push(entry);
+        }
+    }
+    return { logs, hasMore: false };
+}
+
+// Yields the lines of a file from last to first, reading it in chunks from the end
+async function* readLinesReversed(file, chunkSize = 64 * 1024) {
+    const handle = await fs.promises.open(file, 'r');
+    try {
+        let position = (await handle.stat()).size;
+        let rest = Buffer.alloc(0);
+        while (position > 0) {
+            const length = Math.min(chunkSize, position);
+            position -= length;
+            const chunk = Buffer.alloc(length);
+            await handle.read(chunk, 0, length, position);
+            // Splitting on the newline byte is safe: it never occurs inside a multi-byte UTF-8 character
+            const buffer = Buffer.concat([chunk, rest]);
+            let end = buffer.length;
+            for (let index = buffer.length - 1; index >= 0; index--) {
+                if (buffer[index] !== 0x0a) continue;
+                yield buffer.toString('utf8', index + 1, end);
+                end = index;
+            }
+            rest = buffer.subarray(0, end);
+        }
+        if (rest.length > 0) yield rest.toString('utf8');
+    } finally {
+        await handle.close();
+    }
+}
+
+const sessions = new Map();
+const loginFailures = new Map();
+const apiTokens = splitList(CONFIG.API_TOKENS).map((entry, index) => {
+    const separator = entry.indexOf(':');
+    return separator > 0 ?
+        { name: entry.slice(0, separator), digest: hashSecret(entry.slice(separator + 1)) } :
+        { name: `token-${index + 1}`, digest: hashSecret(entry) };
+});
+const AUTH_ENABLED = Boolean(CONFIG.DASHBOARD_PASSWORD) || apiTokens.length > 0;
+// Without authentication there is no session to carry a CSRF token, so the dashboard gets one per process
+const OPEN_CSRF_TOKEN = crypto.randomBytes(32).toString('hex');
+// Logs (failed logins with client addresses), reports and metrics stay behind authentication even with PUBLIC_READ
+const READ_ONLY_PATHS = ['/', '/api/status', '/api/events', '/api/changes', '/api/sources', '/api/watchlist', '/api/deadlines', '/api/notifications/channels', '/feed.atom', '/feed.rss', '/calendar.ics', '/api/suppressed'];
+const LOGIN_LOCKOUT = 15 * 60000;
+
+function hashSecret(value) {
+    return crypto.createHash('sha256').update(String(value)).digest();
+}
+
+function secretsMatch(value, digest) {
+    return crypto.timingSafeEqual(hashSecret(value), digest);
+}
+
+// Resolves the caller from a bearer/X-API-Key token, a `?token=` query (feeds) or the session cookie
+function authenticate(req, url) {
+    const header = req.headers.authorization || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7) :
+        req.headers['x-api-key'] || (req.method === 'GET' ? url.searchParams.get('token') : null);
+    if (token) {
+        const match = apiTokens.find(t => secretsMatch(token, t.digest));
+        return match ? { type: 'token', user: match.name } : { type: 'invalid' };
+    }
+    
+    const sessionId = parseCookies(req.headers.cookie).eudr_session;
+    const session = sessionId && sessions.get(sessionId);
+    if (session && session.expires > Date.now()) {
+        return { type: 'session', user: session.user, session };
+    }
+    if (session) sessions.delete(sessionId);
+    return { type: 'anonymous' };
+}
+
+function parseCookies(header) {
+    const cookies = {};
+    (header || '').split(';').forEach(part => {
+        const index = part.indexOf('=');
+        if (index <= 0) return;
+        const value = part.slice(index + 1).trim();
+        try {
+            cookies[part.slice(0, index).trim()] = decodeURIComponent(value);
+        } catch (error) {
+            cookies[part.slice(0, index).trim()] = value;
+        }
+    });
+    return cookies;
+}
+
+// The proxy appends the address it saw, so the last X-Forwarded-For entry is the one a client cannot forge
+function getClientAddress(req) {
+    const forwarded = splitList(req.headers['x-forwarded-for']);
+    return CONFIG.TRUST_PROXY && forwarded.length > 0 ? forwarded[forwarded.length - 1] : req.socket.remoteAddress;
+}
+
+// Anonymous callers only get this far with PUBLIC_READ, and then without the logs
+function hasFullAccess(auth) {
+    return !AUTH_ENABLED || auth.type !== 'anonymous';
+}
+
+// Logins are the only way into either map, so each attempt clears out what has expired
+function pruneAuthState() {
+    const now = Date.now();
+    for (const [id, session] of sessions) {
+        if (session.expires <= now) sessions.delete(id);
+    }
+    for (const [ip, failures] of loginFailures) {
+        if (failures.every(time => time <= now - LOGIN_LOCKOUT)) loginFailures.delete(ip);
+    }
+}
+
+function isReadOnlyRequest(req, url) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') return false;
+    return READ_ONLY_PATHS.includes(url.pathname) ||
+        /^\/api\/sources\/[^/]+(\/snapshots|\/sections|\/documents)?$/.test(url.pathname) ||
+        /^\/api\/changes\/[^/]+(\/diff)?$/.test(url.pathname);
+}
+
+function applyCors(req, res) {
+    const origin = req.headers.origin;
+    const allowed = splitList(CONFIG.CORS_ORIGINS);
+    if (!origin || allowed.length === 0) return;
+    if (!allowed.includes('*') && !allowed.includes(origin)) return;
+    
+    res.setHeader('Access-Control-Allow-Origin', allowed.includes('*') ? '*' : origin);
+    res.setHeader('Vary', 'Origin');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PATCH, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key, X-CSRF-Token');
+}
+
+async function handleLogin(req, res, url) {
+    if (req.method === 'GET') {
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        res.end(getLoginHTML(url.searchParams.get('error')));
+        return;
+    }
+    if (req.method !== 'POST') return sendJson(res, 405, { error: 'Method not allowed' });
+    
+    pruneAuthState();
+    const ip = getClientAddress(req);
+    const failures = (loginFailures.get(ip) || []).filter(time => time > Date.now() - LOGIN_LOCKOUT);
+    if (failures.length >= 5) {
+        res.writeHead(302, { Location: '/login?error=locked' });
+        res.end();
+        return;
+    }
+    
+    const form = new URLSearchParams(await readBody(req));
+    // Compare both fields every time so response timing does not reveal a valid username
+    const userMatches = secretsMatch(form.get('user') || '', hashSecret(CONFIG.DASHBOARD_USER));
+    const passwordMatches = secretsMatch(form.get('password') || '', hashSecret(CONFIG.DASHBOARD_PASSWORD));
+    
+    if (!CONFIG.DASHBOARD_PASSWORD || !userMatches || !passwordMatches) {
+        loginFailures.set(ip, [...failures, Date.now()]);
+        addLog('warning', `⚠️ Failed dashboard login from ${ip}`);
+        res.writeHead(302, { Location: '/login?error=invalid' });
+        res.end();
+        return;
+    }
+    
+    loginFailures.delete(ip);
+    const sessionId = crypto.randomBytes(32).toString('hex');
+    sessions.set(sessionId, {
+        user: CONFIG.DASHBOARD_USER,
+        csrfToken: crypto.randomBytes(32).toString('hex'),
+        expires: Date.now() + CONFIG.SESSION_TTL
+    });
+    const secure = req.headers['x-forwarded-proto'] === 'https' || req.socket.encrypted ? '; Secure' : '';
+    res.writeHead(302, {
+        Location: '/',
+        'Set-Cookie': `eudr_session=${sessionId}; HttpOnly; SameSite=Strict; Path=/; Max-Age=${CONFIG.SESSION_TTL / 1000}${secure}`
+    });
+    res.end();
+}
+
+function handleLogout(req, res, auth) {
+    if (auth.session) {
+        for (const [id, session] of sessions) {
+            if (session === auth.session) sessions.delete(id);
+        }
+    }
+    res.writeHead(302, { Location: '/login', 'Set-Cookie': 'eudr_session=; HttpOnly; SameSite=Strict; Path=/; Max-Age=0' });
+    res.end();
+}
+
+const server = http.createServer((req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    
+    applyCors(req, res);
+    
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+    
+    // Probes from the hosting platform carry no credentials
+    if (url.pathname === '/healthz' || url.pathname === '/readyz') {
+        const check = url.pathname === '/healthz' ? getHealth() : getReadiness();
+        return sendJson(res, check.ok ? 200 : 503, check);
+    }
+    
+    const auth = AUTH_ENABLED ? authenticate(req, url) : { type: 'anonymous', user: null };
+    
+    if (url.pathname === '/login') {
+        handleLogin(req, res, url).catch(error => sendJson(res, error.statusCode || 500, { error: error.message }));
+        return;
+    }
+    if (url.pathname === '/logout') {
+        if (req.method !== 'POST') return sendJson(res, 405, { error: 'Method not allowed' });
+        if (auth.session && req.headers['x-csrf-token'] !== auth.session.csrfToken) {
+            return sendJson(res, 403, { error: 'Invalid CSRF token' });
+        }
+        handleLogout(req, res, auth);
+        return;
+    }
+    
+    if (AUTH_ENABLED) {
+        if (auth.type === 'invalid') {
+            return sendJson(res, 401, { error: 'Invalid API token' });
+        }
+        if (auth.type === 'anonymous' && !(CONFIG.PUBLIC_READ && isReadOnlyRequest(req, url))) {
+            if (url.pathname === '/' && req.method === 'GET') {
+                res.writeHead(302, { Location: '/login' });
+                res.end();
+                return;
+            }
+            return sendJson(res, 401, { error: 'Authentication required' });
+        }
+        // Cookie sessions must echo their CSRF token on anything that changes state; API tokens are not ambient
+        if (auth.type === 'session' && req.method !== 'GET' && req.method !== 'HEAD' &&
+            req.headers['x-csrf-token'] !== auth.session.csrfToken) {
+            return sendJson(res, 403, { error: 'Invalid CSRF token' });
+        }
+    } else if (req.method !== 'GET' && req.method !== 'HEAD' && req.headers['x-csrf-token'] !== OPEN_CSRF_TOKEN) {
+        // Only the dashboard served by this process may change state; scripts need API_TOKENS
+        return sendJson(res, 403, { error: 'Invalid CSRF token - configure API_TOKENS for scripted access' });
+    }
+    
+    if (url.pathname === '/') {
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        res.end(getDashboardHTML(auth));
+    } else if (url.pathname === '/api/status') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+            status: 'running',
+            totalChecks: state.totalChecks,
+            changesDetected: state.changesDetected,
+            lastCheck: state.lastCheck,
+            nextCheck: state.nextCheck,
+            sources: state.sources.map(getSourceStatus),
+            running: inFlight.size > 0,
+            storage: storageStats,
+            recentChanges: state.changes.slice(0, 20).map(summarizeChange),
+            suppressed: state.suppressed.slice(0, 20),
+            deadlines: getDeadlines(),
+            recentLogs: hasFullAccess(auth) ? state.logs.slice(0, 25) : [],
+            checkHistory: state.checkHistory.slice(0, 24),
+            hasNewChanges: state.changes.some(c => c.new)
+        }));
+    } else if (url.pathname === '/api/events') {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.write(`retry: 5000\nevent: ready\ndata: ${JSON.stringify({ running: inFlight.size > 0 })}\n\n`);
+        sseClients.add(res);
+        if (hasFullAccess(auth)) sseLogClients.add(res);
+        req.on('close', () => {
+            sseClients.delete(res);
+            sseLogClients.delete(res);
+        });
+    } else if (/^\/api\/changes\/[^/]+\/diff$/.test(url.pathname)) {
+        let id;
+        try {
+            id = decodePathSegment(url.pathname.split('/')[3]);
+        } catch (error) {
+            sendJson(res, error.statusCode, { error: error.message });
+            return;
+        }
+        const tracked = state.changes.find(c => c.id === id);
+        if (!tracked) {
+            res.writeHead(404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'Change not found' }));
+            return;
+        }
+        const [change] = loadChangeDetails([tracked]);
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+            id: change.id,
+            name: change.name,
+            url: change.url,
+            timestamp: change.timestamp,
+            previousCheck: change.previousCheck,
+            diff: change.diff || null,
+            sections: change.sections || null
+        }));
+    } else if (url.pathname === '/api/sources' || url.pathname.startsWith('/api/sources/')) {
+        handleSourcesRequest(req, res, url).catch(error => sendJson(res, error.statusCode || 500, { error: error.message }));
+    } else if (url.pathname === '/api/deadlines' || url.pathname.startsWith('/api/deadlines/')) {
+        handleDeadlinesRequest(req, res, url).catch(error => sendJson(res, error.statusCode || 500, { error: error.message }));
+    } else if (url.pathname === '/calendar.ics') {
+        res.writeHead(200, { 'Content-Type': 'text/calendar; charset=utf-8', 'Content-Disposition': 'inline; filename="eudr-deadlines.ics"' });
+        res.end(renderCalendar(getDeadlines()));
+    } else if (url.pathname === '/api/subscriptions' || url.pathname.startsWith('/api/subscriptions/')) {
+        handleSubscriptionsRequest(req, res, url).catch(error => sendJson(res, error.statusCode || 500, { error: error.message }));
+    } else if (url.pathname === '/api/watchlist') {
+        handleWatchlistRequest(req, res).catch(error => sendJson(res, error.statusCode || 500, { error: error.message }));
+    } else if (url.pathname === '/api/notifications/channels') {
+        sendJson(res, 200, { channels: getNotificationChannels().map(getChannelStatus) });
+    } else if (url.pathname === '/api/notifications/test' && req.method === 'POST') {
+        const channelId = url.searchParams.get('channel');
+        const channels = getNotificationChannels().filter(c => !channelId || c.id === channelId);
+        if (channels.length === 0) {
+            sendJson(res, 404, { error: channelId ? 'Channel not found' : 'No notification channels configured' });
+            return;
+        }
+        sendNotifications([getTestChange()], channels, { test: true })
+            .then(results => sendJson(res, 200, { results }))
+            .catch(error => sendJson(res, 500, { error: error.message }));
+    } else if (url.pathname === '/feed.atom' || url.pathname === '/feed.rss') {
+        const changes = getFeedChanges(url);
+        if (url.pathname === '/feed.atom') {
+            res.writeHead(200, { 'Content-Type': 'application/atom+xml; charset=utf-8' });
+            res.end(renderAtomFeed(changes, url));
+        } else {
+            res.writeHead(200, { 'Content-Type': 'application/rss+xml; charset=utf-8' });
+            res.end(renderRSSFeed(changes, url));
+        }
+    } else if (url.pathname === '/api/logs') {
+        const since = parseReportDate(url.searchParams.get('from'), false);
+        const until = parseReportDate(url.searchParams.get('to'), true);
+        if ((since && isNaN(since)) || (until && isNaN(until))) {
+            return sendJson(res, 400, { error: 'from and to must be valid dates (YYYY-MM-DD or ISO 8601)' });
+        }
+        const levels = splitList(url.searchParams.get('level'));
+        const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit'), 10) || 100, 1), 1000);
+        const offset = Math.max(parseInt(url.searchParams.get('offset'), 10) || 0, 0);
+        readLogs({
+            levels: levels.length > 0 ? levels : null,
+            source: url.searchParams.get('source'),
+            since,
+            until,
+            text: url.searchParams.get('q'),
+            limit,
+            offset
+        })
+            .then(result => sendJson(res, 200, { ...result, limit, offset }))
+            .catch(error => sendJson(res, 500, { error: error.message }));
+    } else if (url.pathname === '/api/suppressed') {
+        const source = url.searchParams.get('source');
+        const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit'), 10) || 50, 1), CONFIG.CHANGES.MAX_SUPPRESSED);
+        sendJson(res, 200, { suppressed: state.suppressed.filter(entry => !source || entry.source === source).slice(0, limit) });
+    } else if (url.pathname === '/metrics') {
+        res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+        res.end(renderMetrics());
+    } else if (url.pathname === '/api/report') {
+        sendReport(res, url);
+    } else if ((url.pathname === '/api/check-now' || url.pathname === '/api/mark-read') && req.method !== 'POST') {
+        sendJson(res, 405, { error: 'Method not allowed' });
+    } else if (url.pathname === '/api/check-now') {
+        const queued = getActiveSources().filter(s => !inFlight.has(s.url)).length;
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ message: 'Check initiated', sources: queued, alreadyRunning: inFlight.size }));
+        checkAllSources().catch(err => addLog('error', err.message));
+    } else if (url.pathname === '/api/mark-read') {
+        const actor = auth.user || 'anonymous';
+        state.changes.filter(c => c.status === 'new').forEach(c => setChangeStatus(c, 'acknowledged', actor));
+        saveState();
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: true }));
+    } else if (url.pathname === '/api/changes' || /^\/api\/changes\/[^/]+(\/notes)?$/.test(url.pathname)) {
+        handleChangesRequest(req, res, url, auth).catch(error => sendJson(res, error.statusCode || 500, { error: error.message }));
+    } else {
+        res.writeHead(404);
+        res.end('Not found');
+    }
+});
+
+async function handleChangesRequest(req, res, url, auth) {
+    const [, , , id, sub] = url.pathname.split('/');
+    const actor = auth.user || 'anonymous';
+    
+    if (!id) {
+        if (req.method !== 'GET') return sendJson(res, 405, { error: 'Method not allowed' });
+        const statuses = splitList(url.searchParams.get('status'));
+        const categories = splitList(url.searchParams.get('category')).map(c => c.toUpperCase());
+        const assignee = url.searchParams.get('assignee');
+        const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit'), 10) || 50, 1), 500);
+        const offset = Math.max(parseInt(url.searchParams.get('offset'), 10) || 0, 0);
+        
+        const matching = state.changes
+            .filter(c => statuses.length === 0 || statuses.includes(c.status))
+            .filter(c => categories.length === 0 || categories.includes(c.category))
+            .filter(c => !assignee || c.assignee === assignee);
+        sendJson(res, 200, {
+            total: matching.length,
+            offset,
+            limit,
+            changes: matching.slice(offset, offset + limit).map(summarizeChange)
+        });
+        return;
+    }
+    
+    const changeId = decodePathSegment(id);
+    const change = state.changes.find(c => c.id === changeId);
+    if (!change) return sendJson(res, 404, { error: 'Change not found' });
+    
+    if (sub === 'notes') {
+        if (req.method !== 'POST') return sendJson(res, 405, { error: 'Method not allowed' });
+        const body = await readJsonBody(req);
+        if (typeof body.text !== 'string' || !body.text.trim()) return sendJson(res, 400, { error: 'text is required' });
+        addChangeNote(change, body.text.trim(), actor);
+        appendRecord('changes', { event: 'updated', ...change, timestamp: new Date().toISOString(), detectedAt: change.timestamp });
+        saveState();
+        return sendJson(res, 201, { change: summarizeChange(change) });
+    }
+    
+    if (req.method === 'GET') {
+        sendJson(res, 200, { change: summarizeChange(change) });
+    } else if (req.method === 'PATCH') {
+        const body = await readJsonBody(req);
+        
+        if (body.status !== undefined && body.status !== change.status) {
+            if (!CHANGE_STATUSES.includes(body.status)) {
+                return sendJson(res, 400, { error: `status must be one of ${CHANGE_STATUSES.join(', ')}` });
+            }
+            if (!CHANGE_TRANSITIONS[change.status].includes(body.status)) {
+                return sendJson(res, 409, { error: `Cannot move a change from ${change.status} to ${body.status}` });
+            }
+        }
+        if (body.assignee !== undefined && body.assignee !== null && typeof body.assignee !== 'string') {
+            return sendJson(res, 400, { error: 'assignee must be a string or null' });
+        }
+        if (body.note !== undefined && typeof body.note !== 'string') {
+            return sendJson(res, 400, { error: 'note must be a string' });
+        }
+        
+        if (body.assignee !== undefined) {
+            const assignee = body.assignee ? body.assignee.trim() || null : null;
+            if (assignee !== change.assignee) {
+                change.statusHistory.push({ field: 'assignee', from: change.assignee, to: assignee, by: actor, timestamp: new Date().toISOString() });
+                change.assignee = assignee;
+            }
+        }
+        if (body.status !== undefined && body.status !== change.status) {
+            setChangeStatus(change, body.status, actor);
+        }
+        if (body.note && body.note.trim()) {
+            addChangeNote(change, body.note.trim(), actor);
+        }
+        appendRecord('changes', { event: 'updated', ...change, timestamp: new Date().toISOString(), detectedAt: change.timestamp });
+        saveState();
+        addLog('info', `📝 Change updated: ${change.name} (${change.status}${change.assignee ? `, ${change.assignee}` : ''}) by ${actor}`);
+        sendJson(res, 200, { change: summarizeChange(change) });
+    } else {
+        sendJson(res, 405, { error: 'Method not allowed' });
+    }
 }
 
-function saveState() {
-    try {
-        fs.writeFileSync('state.json', JSON.stringify(state, null, 2));
-    } catch (error) {}
+function setChangeStatus(change, status, actor) {
+    const timestamp = new Date().toISOString();
+    change.statusHistory.push({ field: 'status', from: change.status, to: status, by: actor, timestamp });
+    change.status = status;
+    change.new = status === 'new';
+    if (status === 'acknowledged' && !change.acknowledgedAt) {
+        change.acknowledgedAt = timestamp;
+        change.acknowledgedBy = actor;
+    }
+    if (status === 'actioned' || status === 'dismissed') {
+        change.resolvedAt = timestamp;
+        change.resolvedBy = actor;
+    } else {
+        change.resolvedAt = null;
+        change.resolvedBy = null;
+    }
 }
 
-function fetchPage(url) {
-    return new Promise((resolve, reject) => {
-        const client = url.startsWith('https') ? https : http;
-        
-        client.get(url, {
-            headers: { 'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36' },
-            timeout: 30000
-        }, (res) => {
-            let data = '';
-            res.on('data', chunk => data += chunk);
-            res.on('end', () => resolve(crypto.createHash('sha256').update(data).digest('hex')));
-        }).on('error', reject).on('timeout', () => reject(new Error('Timeout')));
-    });
+function addChangeNote(change, text, actor) {
+    change.notes.push({ id: crypto.randomBytes(4).toString('hex'), author: actor, text, timestamp: new Date().toISOString() });
 }
 
-async function checkAllSources() {
-    addLog('info', '🔍 Starting automated check...');
+async function handleDeadlinesRequest(req, res, url) {
+    const id = url.pathname.split('/')[3];
     
-    state.totalChecks++;
-    state.lastCheck = new Date().toISOString();
-    state.nextCheck = new Date(Date.now() + CONFIG.CHECK_INTERVAL).toISOString();
+    if (!id) {
+        if (req.method === 'GET') {
+            sendJson(res, 200, { deadlines: getDeadlines() });
+        } else if (req.method === 'POST') {
+            const { deadline, error } = validateDeadline(await readJsonBody(req));
+            if (error) return sendJson(res, 400, { error });
+            state.deadlines.push(deadline);
+            saveState();
+            addLog('success', `📅 Deadline added: ${deadline.name} (${deadline.date})`);
+            sendJson(res, 201, { deadline });
+        } else {
+            sendJson(res, 405, { error: 'Method not allowed' });
+        }
+        return;
+    }
     
-    const changes = [];
-    const allSources = [
-        ...CONFIG.SOURCES.EUDR.map(s => ({ ...s, category: 'EUDR' })),
-        ...CONFIG.SOURCES.FSC.map(s => ({ ...s, category: 'FSC' }))
-    ];
+    const deadlineId = decodePathSegment(id);
+    const index = state.deadlines.findIndex(d => d.id === deadlineId);
+    if (index === -1) return sendJson(res, 404, { error: 'Deadline not found' });
+    const existing = state.deadlines[index];
     
-    for (const source of allSources) {
-        try {
-            addLog('info', `Checking: ${source.name}`);
-            const currentHash = await fetchPage(source.url);
-            
-            if (state.history[source.url]) {
-                if (state.history[source.url].hash !== currentHash) {
-                    const change = {
-                        category: source.category,
-                        name: source.name,
-                        url: source.url,
-                        timestamp: new Date().toISOString(),
-                        previousCheck: state.history[source.url].lastChecked,
-                        priority: source.priority,
-                        new: true
-                    };
-                    
-                    changes.push(change);
-                    state.changes.unshift(change);
-                    state.changesDetected++;
-                    addLog('warning', `🚨 CHANGE DETECTED: ${source.name}`);
-                }
+    if (req.method === 'GET') {
+        sendJson(res, 200, { deadline: { ...existing, daysLeft: getDaysLeft(existing.date) } });
+    } else if (req.method === 'PATCH') {
+        const { deadline, error } = validateDeadline(await readJsonBody(req), existing);
+        if (error) return sendJson(res, 400, { error });
+        state.deadlines[index] = deadline;
+        saveState();
+        addLog('info', `📅 Deadline updated: ${deadline.name} (${deadline.date})`);
+        sendJson(res, 200, { deadline });
+    } else if (req.method === 'DELETE') {
+        state.deadlines.splice(index, 1);
+        saveState();
+        addLog('info', `🗑️ Deadline removed: ${existing.name}`);
+        sendJson(res, 200, { deleted: existing.id });
+    } else {
+        sendJson(res, 405, { error: 'Method not allowed' });
+    }
+}
+
+// A subscription routes the changes matching all of its filters to one notification channel; empty
+// filters match everything, and `to` replaces an email channel's recipients
+function validateSubscription(input, existing) {
+    const subscription = { ...existing };
+    
+    if (!existing || input.name !== undefined) {
+        if (typeof input.name !== 'string' || !input.name.trim()) return { error: 'name is required' };
+        subscription.name = input.name.trim();
+    }
+    const channels = getNotificationChannels();
+    if (!existing || input.channel !== undefined) {
+        if (!channels.some(channel => channel.id === input.channel)) {
+            return { error: `channel must be one of the configured channels: ${channels.map(channel => channel.id).join(', ') || 'none'}` };
+        }
+        subscription.channel = input.channel;
+    }
+    if (input.to !== undefined) {
+        if (input.to === null) {
+            delete subscription.to;
+        } else {
+            const to = Array.isArray(input.to) ? input.to : splitList(input.to);
+            if (to.length === 0 || to.some(address => typeof address !== 'string' || !/^[^\s@<>,]+@[^\s@<>,]+$/.test(address))) {
+                return { error: 'to must be a list of email addresses or null' };
+            }
+            subscription.to = to;
+        }
+    }
+    if (subscription.to) {
+        const channel = channels.find(c => c.id === subscription.channel);
+        if (channel && channel.type !== 'email') return { error: 'to can only be set for email channels' };
+    }
+    if (!existing || input.categories !== undefined) {
+        const categories = input.categories === undefined ? [] : input.categories;
+        if (!Array.isArray(categories) || categories.some(category => !CATEGORIES.includes(category))) {
+            return { error: `categories must be a list of ${CATEGORIES.join(', ')} (empty for all)` };
+        }
+        subscription.categories = CATEGORIES.filter(category => categories.includes(category));
+    }
+    if (!existing || input.minPriority !== undefined) {
+        const minPriority = input.minPriority === undefined ? 'low' : input.minPriority;
+        if (!PRIORITIES.includes(minPriority)) return { error: `minPriority must be one of ${PRIORITIES.join(', ')}` };
+        subscription.minPriority = minPriority;
+    }
+    if (!existing || input.sources !== undefined) {
+        const sources = input.sources === undefined ? [] : input.sources;
+        if (!Array.isArray(sources) || sources.some(id => !state.sources.some(source => source.id === id))) {
+            return { error: 'sources must be a list of source IDs (empty for all)' };
+        }
+        subscription.sources = [...new Set(sources)];
+    }
+    if (!existing || input.keywords !== undefined) {
+        const keywords = input.keywords === undefined ? [] : input.keywords;
+        if (!Array.isArray(keywords) || keywords.some(term => typeof term !== 'string' || !term.trim())) {
+            return { error: 'keywords must be a list of terms or /regex/ patterns (empty for all)' };
+        }
+        for (const term of keywords) {
+            try {
+                compileWatchTerm(term.trim());
+            } catch (error) {
+                return { error: `invalid keyword pattern: ${term}` };
             }
-            
-            state.history[source.url] = {
-                hash: currentHash,
-                lastChecked: new Date().toISOString(),
-                name: source.name,
-                category: source.category,
-                status: 'checked'
-            };
-            
-            await new Promise(resolve => setTimeout(resolve, 2000));
-        } catch (error) {
-            state.history[source.url] = {
-                ...state.history[source.url],
-                status: 'error',
-                lastError: error.message
-            };
-            addLog('error', `Error: ${source.name} - ${error.message}`);
         }
+        subscription.keywords = [...new Set(keywords.map(term => term.trim()))];
+    }
+    if (!existing || input.enabled !== undefined) {
+        subscription.enabled = input.enabled === undefined ? true : input.enabled === true;
     }
+    if (!existing) subscription.id = createChangeId();
     
-    state.checkHistory.unshift({
-        timestamp: state.lastCheck,
-        changesFound: changes.length,
-        sourcesChecked: allSources.length
-    });
-    if (state.checkHistory.length > 50) state.checkHistory = state.checkHistory.slice(0, 50);
+    return { subscription };
+}
+
+async function handleSubscriptionsRequest(req, res, url) {
+    const id = url.pathname.split('/')[3];
     
-    if (changes.length > 0) {
-        addLog('warning', `✅ Check completed - ${changes.length} CHANGE(S) FOUND!`);
-        await sendNotifications(changes);
-    } else {
-        addLog('success', '✅ Check completed - All sources unchanged');
+    if (!id) {
+        if (req.method === 'GET') {
+            sendJson(res, 200, { subscriptions: state.subscriptions });
+        } else if (req.method === 'POST') {
+            const { subscription, error } = validateSubscription(await readJsonBody(req));
+            if (error) return sendJson(res, 400, { error });
+            state.subscriptions.push(subscription);
+            saveState();
+            addLog('success', `🔔 Subscription added: ${subscription.name} (${subscription.channel})`);
+            sendJson(res, 201, { subscription });
+        } else {
+            sendJson(res, 405, { error: 'Method not allowed' });
+        }
+        return;
     }
     
-    saveState();
-    return changes;
+    const subscriptionId = decodePathSegment(id);
+    const index = state.subscriptions.findIndex(s => s.id === subscriptionId);
+    if (index === -1) return sendJson(res, 404, { error: 'Subscription not found' });
+    const existing = state.subscriptions[index];
+    
+    if (req.method === 'GET') {
+        sendJson(res, 200, { subscription: existing });
+    } else if (req.method === 'PATCH') {
+        const { subscription, error } = validateSubscription(await readJsonBody(req), existing);
+        if (error) return sendJson(res, 400, { error });
+        state.subscriptions[index] = subscription;
+        saveState();
+        addLog('info', `🔔 Subscription updated: ${subscription.name} (${subscription.channel})`);
+        sendJson(res, 200, { subscription });
+    } else if (req.method === 'DELETE') {
+        state.subscriptions.splice(index, 1);
+        saveState();
+        addLog('info', `🗑️ Subscription removed: ${existing.name}`);
+        sendJson(res, 200, { deleted: existing.id });
+    } else {
+        sendJson(res, 405, { error: 'Method not allowed' });
+    }
+}
+
+async function handleWatchlistRequest(req, res) {
+    if (req.method === 'GET') {
+        sendJson(res, 200, getWatchlistStatus());
+    } else if (req.method === 'PUT') {
+        const body = await readJsonBody(req);
+        const { terms, error } = validateWatchlist(body.terms);
+        if (error) return sendJson(res, 400, { error });
+        state.watchlist = terms;
+        saveState();
+        addLog('success', `🎯 Watchlist updated (${terms.length} term(s))`);
+        sendJson(res, 200, getWatchlistStatus());
+    } else {
+        sendJson(res, 405, { error: 'Method not allowed' });
+    }
+}
+
+function getWatchlistStatus() {
+    return {
+        terms: state.watchlist,
+        sources: state.sources.filter(s => s.watchlist && s.watchlist.length > 0).map(s => ({ id: s.id, name: s.name, terms: s.watchlist })),
+        digest: {
+            enabled: CONFIG.WATCHLIST.DIGEST_UNMATCHED,
+            queued: new Set(state.outbox.filter(b => b.reason === 'daily').flatMap(b => b.items.map(item => item.id))).size
+        }
+    };
 }
 
-async function sendNotifications(changes) {
-    if (!CONFIG.WEBHOOK_URL) return;
+async function handleSourcesRequest(req, res, url) {
+    const id = url.pathname.split('/')[3];
+    
+    if (!id) {
+        if (req.method === 'GET') {
+            sendJson(res, 200, { sources: state.sources });
+        } else if (req.method === 'POST') {
+            const { source, error } = validateSource(await readJsonBody(req));
+            if (error) return sendJson(res, 400, { error });
+            if (state.sources.some(s => s.id === source.id)) {
+                return sendJson(res, 409, { error: 'A source with this URL already exists' });
+            }
+            state.sources.push(source);
+            saveState();
+            addLog('success', `➕ Source added: ${source.name}`);
+            sendJson(res, 201, { source });
+        } else {
+            sendJson(res, 405, { error: 'Method not allowed' });
+        }
+        return;
+    }
     
-    const criticalChanges = changes.filter(c => c.priority === 'critical');
-    let message = criticalChanges.length > 0 ? 
-        `🚨🚨 **CRITICAL EUDR/FSC UPDATE** 🚨🚨\n\n` :
-        `🚨 **EUDR/FSC Change Alert**\n\n`;
+    const sourceId = decodePathSegment(id);
+    const index = state.sources.findIndex(s => s.id === sourceId);
+    if (index === -1) return sendJson(res, 404, { error: 'Source not found' });
+    const existing = state.sources[index];
     
-    message += `${changes.length} change(s) detected at ${new Date().toLocaleString('en-US', { timeZone: 'America/Panama' })}\n\n`;
+    if (url.pathname.split('/')[4] === 'snapshots') {
+        if (req.method !== 'GET') return sendJson(res, 405, { error: 'Method not allowed' });
+        const hash = url.searchParams.get('hash');
+        // Only the latest match keeps its text; the listing keeps metadata
+        let latest = null;
+        const snapshots = [];
+        await scanRecords('snapshots', {
+            contains: `"url":${JSON.stringify(existing.url)}`,
+            filter: r => r.url === existing.url && (!hash || r.hash === hash)
+        }, record => {
+            latest = record;
+            snapshots.unshift({ timestamp: record.timestamp, hash: record.hash, length: record.text.length });
+        });
+        if (hash) {
+            return latest ? sendJson(res, 200, { snapshot: latest }) : sendJson(res, 404, { error: 'Snapshot not found' });
+        }
+        return sendJson(res, 200, { snapshots });
+    }
     
-    for (const change of changes) {
-        const emoji = change.priority === 'critical' ? '🔴' : change.priority === 'high' ? '🟠' : '🟡';
-        message += `${emoji} **${change.category}**: ${change.name}\n`;
-        message += `🔗 ${change.url}\n\n`;
+    if (url.pathname.split('/')[4] === 'documents') {
+        if (req.method !== 'GET') return sendJson(res, 405, { error: 'Method not allowed' });
+        if (existing.type !== 'documents') return sendJson(res, 400, { error: 'Documents are only available for documents sources' });
+        const history = state.history[existing.url] || {};
+        return sendJson(res, 200, { documents: Object.entries(history.documents || {}).map(([key, doc]) => ({ key, ...doc })) });
     }
     
-    message += `📊 View dashboard: https://eudr-monitor-24-7.onrender.com`;
+    // Current text of an EUR-Lex source split into citable sections
+    if (url.pathname.split('/')[4] === 'sections') {
+        if (req.method !== 'GET') return sendJson(res, 405, { error: 'Method not allowed' });
+        if (existing.type !== 'eurlex') return sendJson(res, 400, { error: 'Sections are only available for eurlex sources' });
+        const text = state.snapshots[existing.url];
+        if (text === undefined) return sendJson(res, 404, { error: 'No snapshot yet' });
+        return sendJson(res, 200, { sections: parseLegalText(text) });
+    }
     
+    if (req.method === 'GET') {
+        sendJson(res, 200, { source: existing });
+    } else if (req.method === 'PATCH') {
+        const { source, error } = validateSource(await readJsonBody(req), existing);
+        if (error) return sendJson(res, 400, { error });
+        state.sources[index] = source;
+        if (getSourceInterval(source) !== getSourceInterval(existing)) {
+            scheduleNextCheck(source);
+            updateNextCheck();
+        }
+        saveState();
+        addLog('info', `✏️ Source updated: ${source.name}`);
+        sendJson(res, 200, { source });
+    } else if (req.method === 'DELETE') {
+        state.sources.splice(index, 1);
+        delete state.history[existing.url];
+        delete state.snapshots[existing.url];
+        delete state.schedule[existing.url];
+        updateNextCheck();
+        saveState();
+        addLog('info', `🗑️ Source removed: ${existing.name}`);
+        sendJson(res, 200, { success: true });
+    } else {
+        sendJson(res, 405, { error: 'Method not allowed' });
+    }
+}
+
+function readBody(req) {
     return new Promise((resolve, reject) => {
-        const url = new URL(CONFIG.WEBHOOK_URL);
-        const req = https.request({
-            hostname: url.hostname,
-            path: url.pathname + url.search,
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' }
-        }, (res) => {
-            if (res.statusCode >= 200 && res.statusCode < 300) {
-                addLog('success', '✅ Discord notification sent');
-                resolve();
-            } else {
-                reject(new Error(`HTTP ${res.statusCode}`));
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+            if (body.length > 1e6) {
+                reject(Object.assign(new Error('Request body too large'), { statusCode: 413 }));
+                req.destroy();
             }
         });
+        req.on('end', () => resolve(body));
         req.on('error', reject);
-        req.write(JSON.stringify({ text: message }));
-        req.end();
     });
 }
 
-function addLog(type, message) {
-    const timestamp = new Date().toISOString();
-    state.logs.unshift({ type, message, timestamp });
-    if (state.logs.length > 100) state.logs = state.logs.slice(0, 100);
-    console.log(`[${timestamp}] [${type.toUpperCase()}] ${message}`);
+async function readJsonBody(req) {
+    const body = await readBody(req);
+    let parsed;
+    try {
+        parsed = body ? JSON.parse(body) : {};
+    } catch (error) {
+        throw Object.assign(new Error('Invalid JSON body'), { statusCode: 400 });
+    }
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw Object.assign(new Error('JSON body must be an object'), { statusCode: 400 });
+    }
+    return parsed;
 }
 
-const server = http.createServer((req, res) => {
-    const url = new URL(req.url, `http://${req.headers.host}`);
-    
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+function decodePathSegment(segment) {
+    try {
+        return decodeURIComponent(segment);
+    } catch (error) {
+        throw Object.assign(new Error('Malformed URL encoding in path'), { statusCode: 400 });
+    }
+}
+
+function sendJson(res, statusCode, payload) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(payload));
+}
+
+function sendReport(res, url) {
+    const format = url.searchParams.get('format') || 'json';
+    const to = parseReportDate(url.searchParams.get('to'), true) || new Date();
+    const from = parseReportDate(url.searchParams.get('from'), false) || new Date(to.getTime() - 30 * 86400000);
     
-    if (req.method === 'OPTIONS') {
-        res.writeHead(200);
-        res.end();
+    if (isNaN(from) || isNaN(to) || from > to) {
+        sendJson(res, 400, { error: 'from and to must be valid dates (YYYY-MM-DD or ISO 8601) with from before to' });
+        return;
+    }
+    if (!['csv', 'json', 'html'].includes(format)) {
+        sendJson(res, 400, { error: 'format must be one of csv, json, html' });
         return;
     }
     
-    if (url.pathname === '/') {
-        res.writeHead(200, { 'Content-Type': 'text/html' });
-        res.end(getDashboardHTML());
-    } else if (url.pathname === '/api/status') {
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({
-            status: 'running',
-            totalChecks: state.totalChecks,
-            changesDetected: state.changesDetected,
-            lastCheck: state.lastCheck,
-            nextCheck: state.nextCheck,
-            sources: Object.entries(state.history).map(([url, data]) => ({
-                url,
-                name: data.name,
-                category: data.category,
-                status: data.status || 'unknown',
-                lastChecked: data.lastChecked,
-                lastError: data.lastError
-            })),
-            recentChanges: state.changes.slice(0, 20),
-            recentLogs: state.logs.slice(0, 25),
-            checkHistory: state.checkHistory.slice(0, 24),
-            hasNewChanges: state.changes.some(c => c.new)
-        }));
-    } else if (url.pathname === '/api/check-now') {
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ message: 'Check initiated' }));
-        checkAllSources().catch(err => addLog('error', err.message));
-    } else if (url.pathname === '/api/mark-read') {
-        state.changes.forEach(c => c.new = false);
-        saveState();
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ success: true }));
-    } else {
-        res.writeHead(404);
-        res.end('Not found');
+    const report = buildReport(from, to);
+    const filename = `eudr-fsc-report-${from.toISOString().slice(0, 10)}-to-${to.toISOString().slice(0, 10)}.${format}`;
+    const types = { csv: 'text/csv; charset=utf-8', json: 'application/json', html: 'text/html; charset=utf-8' };
+    
+    res.writeHead(200, {
+        'Content-Type': types[format],
+        'Content-Disposition': `${format === 'html' ? 'inline' : 'attachment'}; filename="${filename}"`
+    });
+    if (format === 'csv') res.end(renderReportCSV(report));
+    else if (format === 'html') res.end(renderReportHTML(report));
+    else res.end(JSON.stringify(report, null, 2));
+}
+
+// Bare dates cover the whole day, so `to=2026-01-31` includes everything detected on the 31st
+function parseReportDate(value, endOfDay) {
+    if (!value) return null;
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        return new Date(`${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z`);
     }
-});
+    return new Date(value);
+}
+
+function buildReport(from, to) {
+    const inRange = (timestamp) => {
+        const time = new Date(timestamp);
+        return time >= from && time <= to;
+    };
+    // Checks and errors come from the journal so reports are not limited to the in-memory window
+    const checks = readRecords('checks', { since: from, until: to }).reverse();
+    const changes = state.changes.filter(c => inRange(c.timestamp));
+    const errors = readRecords('errors', { since: from, until: to }).reverse();
+    
+    return {
+        generatedAt: new Date().toISOString(),
+        period: { from: from.toISOString(), to: to.toISOString() },
+        summary: {
+            checksPerformed: checks.length,
+            changesDetected: changes.length,
+            changesByPriority: PRIORITIES.reduce((counts, p) => ({ ...counts, [p]: changes.filter(c => c.priority === p).length }), {}),
+            changesByCategory: CATEGORIES.reduce((counts, c) => ({ ...counts, [c]: changes.filter(ch => ch.category === c).length }), {}),
+            changesByStatus: CHANGE_STATUSES.reduce((counts, st) => ({ ...counts, [st]: changes.filter(ch => ch.status === st).length }), {}),
+            fetchErrors: errors.length
+        },
+        checks,
+        changes: changes.map(summarizeChange),
+        errors,
+        sources: state.sources.map(source => {
+            const data = state.history[source.url] || {};
+            return {
+                name: source.name,
+                url: source.url,
+                category: source.category,
+                priority: source.priority,
+                enabled: source.enabled !== false,
+                status: source.enabled === false ? 'disabled' : data.status || 'unknown',
+                lastChecked: data.lastChecked || null,
+                lastError: data.lastError || null,
+                errorsInPeriod: errors.filter(e => e.url === source.url).length
+            };
+        })
+    };
+}
+
+function renderReportCSV(report) {
+    const rows = [['record_type', 'timestamp', 'category', 'source', 'url', 'priority', 'status', 'details']];
+    
+    report.checks.forEach(c => rows.push(['check', c.timestamp, '', '', '', '', c.errors ? 'errors' : 'ok',
+        `${c.sourcesChecked} sources checked; ${c.changesFound} changes; ${c.errors || 0} errors`]));
+    report.changes.forEach(c => rows.push(['change', c.timestamp, c.category, c.name, c.url, c.priority || '', c.status,
+        `previous check ${c.previousCheck || 'n/a'}` + (c.diffSummary ? `; +${c.diffSummary.added} / -${c.diffSummary.removed} lines` : '') +
+        (c.assignee ? `; assignee ${c.assignee}` : '') + (c.resolvedAt ? `; resolved ${c.resolvedAt} by ${c.resolvedBy}` : '') +
+        c.notes.map(n => `; note (${n.author}, ${n.timestamp}): ${n.text}`).join('')]));
+    report.errors.forEach(e => rows.push(['error', e.timestamp, e.category, e.name, e.url, '', 'error', e.message]));
+    report.sources.forEach(s => rows.push(['source', s.lastChecked || '', s.category, s.name, s.url, s.priority, s.status,
+        `${s.errorsInPeriod} errors in period` + (s.lastError ? `; last error: ${s.lastError}` : '')]));
+    
+    return rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+function csvCell(value) {
+    let text = String(value === null || value === undefined ? '' : value);
+    // Keep spreadsheet apps from evaluating cell contents as formulas
+    if (/^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function renderReportHTML(report) {
+    const date = (value) => value ? new Date(value).toLocaleString('en-GB', { timeZone: 'UTC' }) + ' UTC' : '—';
+    const table = (headers, rows) => rows.length === 0 ? '<p class="empty">None in this period.</p>' : `
+        <table>
+            <thead><tr>${headers.map(h => `<th>${h}</th>`).join('')}</tr></thead>
+            <tbody>${rows.map(row => `<tr>${row.map(cell => `<td>${cell}</td>`).join('')}</tr>`).join('')}</tbody>
+        </table>`;
+    
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>EUDR & FSC Compliance Report</title>
+    <style>
+        body { font-family: -apple-system, 'Segoe UI', Roboto, sans-serif; color: #2d3748; margin: 40px; }
+        h1 { font-size: 1.8em; margin-bottom: 4px; }
+        h2 { font-size: 1.2em; margin: 30px 0 10px; border-bottom: 2px solid #667eea; padding-bottom: 4px; }
+        .meta { color: #718096; margin-bottom: 20px; }
+        .summary { display: flex; gap: 20px; flex-wrap: wrap; }
+        .summary div { background: #f7fafc; border-radius: 8px; padding: 12px 18px; }
+        .summary strong { display: block; font-size: 1.6em; color: #667eea; }
+        table { width: 100%; border-collapse: collapse; font-size: 0.85em; }
+        th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #e2e8f0; vertical-align: top; }
+        th { background: #f7fafc; }
+        td a { color: #4299e1; word-break: break-all; }
+        .priority-critical { color: #c53030; font-weight: bold; }
+        .priority-high { color: #dd6b20; font-weight: bold; }
+        .empty { color: #718096; font-style: italic; }
+        .print-btn { float: right; padding: 8px 16px; background: #667eea; color: white; border: none; border-radius: 6px; cursor: pointer; }
+        @media print { .print-btn { display: none; } body { margin: 0; } h2 { page-break-after: avoid; } tr { page-break-inside: avoid; } }
+    </style>
+</head>
+<body>
+    <button class="print-btn" onclick="window.print()">🖨️ Print</button>
+    <h1>🌲 EUDR & FSC Compliance Report</h1>
+    <p class="meta">Period: ${date(report.period.from)} – ${date(report.period.to)} · Generated ${date(report.generatedAt)}</p>
+    
+    <div class="summary">
+        <div><strong>${report.summary.checksPerformed}</strong>Checks performed</div>
+        <div><strong>${report.summary.changesDetected}</strong>Changes detected</div>
+        ${PRIORITIES.map(p => `<div><strong>${report.summary.changesByPriority[p]}</strong>${p[0].toUpperCase() + p.slice(1)} changes</div>`).join('')}
+        <div><strong>${report.summary.fetchErrors}</strong>Fetch errors</div>
+    </div>
+    
+    <h2>Detected Changes</h2>
+    ${table(['Detected', 'Category', 'Source', 'Priority', 'Diff', 'Status', 'Assessment'], report.changes.map(c => [
+        date(c.timestamp),
+        escapeHtml(c.category),
+        `${escapeHtml(c.name)}<br><a href="${escapeHtml(c.url)}">${escapeHtml(c.url)}</a>`,
+        `<span class="priority-${escapeHtml(c.priority || '')}">${escapeHtml((c.priority || '').toUpperCase())}</span>`,
+        c.diffSummary ? `+${c.diffSummary.added} / −${c.diffSummary.removed}` : '—',
+        escapeHtml(c.status.replace('_', ' ')) + (c.resolvedAt ? `<br>${date(c.resolvedAt)} by ${escapeHtml(c.resolvedBy)}` : ''),
+        (c.assignee ? `Assignee: ${escapeHtml(c.assignee)}<br>` : '') +
+            c.notes.map(n => `<em>${escapeHtml(n.author)}, ${date(n.timestamp)}:</em> ${escapeHtml(n.text)}`).join('<br>')
+    ]))}
+    
+    <h2>Current Source Status</h2>
+    ${table(['Source', 'Category', 'Priority', 'Status', 'Last checked', 'Errors in period', 'Last error'], report.sources.map(s => [
+        `${escapeHtml(s.name)}<br><a href="${escapeHtml(s.url)}">${escapeHtml(s.url)}</a>`,
+        escapeHtml(s.category),
+        escapeHtml(s.priority),
+        escapeHtml(s.status),
+        date(s.lastChecked),
+        s.errorsInPeriod,
+        escapeHtml(s.lastError || '—')
+    ]))}
+    
+    <h2>Source Error History</h2>
+    ${table(['Time', 'Category', 'Source', 'Error'], report.errors.map(e => [
+        date(e.timestamp), escapeHtml(e.category), escapeHtml(e.name), escapeHtml(e.message)
+    ]))}
+    
+    <h2>Checks Performed</h2>
+    ${table(['Time', 'Sources checked', 'Changes found', 'Errors'], report.checks.map(c => [
+        date(c.timestamp), c.sourcesChecked, c.changesFound, c.errors || 0
+    ]))}
+</body>
+</html>`;
+}
+
+// ?category=EUDR,FSC&priority=critical,high - each filter accepts a comma-separated list
+function getFeedChanges(url) {
+    const categories = splitList(url.searchParams.get('category')).map(c => c.toUpperCase());
+    const priorities = splitList(url.searchParams.get('priority')).map(p => p.toLowerCase());
+    
+    return loadChangeDetails(state.changes
+        .filter(c => categories.length === 0 || categories.includes(c.category))
+        .filter(c => priorities.length === 0 || priorities.includes(c.priority))
+        .slice(0, CONFIG.FEED_SIZE));
+}
+
+function getFeedEntry(change) {
+    const excerpt = getDiffExcerpt(change.diff, 10);
+    const summary = [
+        `Source: ${change.name}`,
+        `URL: ${change.url}`,
+        `Category: ${change.category}`,
+        `Priority: ${(change.priority || 'medium').toUpperCase()}`,
+        `Detected: ${new Date(change.timestamp).toUTCString()}`,
+        ...(change.diff ? [`Change summary: +${change.diff.addedCount} / −${change.diff.removedCount} lines`, ...excerpt] : [])
+    ];
+    
+    return {
+        id: `urn:eudr-monitor:change:${change.id}`,
+        title: `[${(change.priority || 'medium').toUpperCase()}] ${change.category}: ${change.name}`,
+        link: change.url,
+        updated: change.timestamp,
+        text: summary.join('\n'),
+        html: `<p>${summary.slice(0, 5).map(escapeHtml).join('<br>')}</p>` +
+            (change.diff ? `<p>${escapeHtml(summary[5])}</p>` : '') +
+            (excerpt.length > 0 ? `<pre>${escapeHtml(excerpt.join('\n'))}</pre>` : '')
+    };
+}
+
+function renderAtomFeed(changes, url) {
+    const selfUrl = `${CONFIG.DASHBOARD_URL}${url.pathname}${url.search}`;
+    const updated = changes.length > 0 ? changes[0].timestamp : state.startTime;
+    
+    return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+    <title>EUDR &amp; FSC Monitor - Detected Changes</title>
+    <subtitle>Changes detected on monitored EUDR and FSC sources</subtitle>
+    <id>urn:eudr-monitor:feed${escapeXml(url.search)}</id>
+    <link rel="self" type="application/atom+xml" href="${escapeXml(selfUrl)}"/>
+    <link rel="alternate" type="text/html" href="${escapeXml(CONFIG.DASHBOARD_URL)}"/>
+    <updated>${new Date(updated).toISOString()}</updated>
+    <generator>EUDR/FSC Monitor</generator>
+${changes.map(change => {
+        const entry = getFeedEntry(change);
+        return `    <entry>
+        <id>${escapeXml(entry.id)}</id>
+        <title>${escapeXml(entry.title)}</title>
+        <link rel="alternate" href="${escapeXml(entry.link)}"/>
+        <updated>${new Date(entry.updated).toISOString()}</updated>
+        <author><name>${escapeXml(change.name)}</name></author>
+        <category term="${escapeXml(change.category)}"/>
+        <category term="${escapeXml(change.priority || 'medium')}"/>
+        <summary type="text">${escapeXml(entry.text)}</summary>
+        <content type="html">${escapeXml(entry.html)}</content>
+    </entry>`;
+    }).join('\n')}
+</feed>
+`;
+}
+
+function renderRSSFeed(changes, url) {
+    const selfUrl = `${CONFIG.DASHBOARD_URL}${url.pathname}${url.search}`;
+    const updated = changes.length > 0 ? changes[0].timestamp : state.startTime;
+    
+    return `<?xml version="1.0" encoding="utf-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+    <channel>
+        <title>EUDR &amp; FSC Monitor - Detected Changes</title>
+        <link>${escapeXml(CONFIG.DASHBOARD_URL)}</link>
+        <description>Changes detected on monitored EUDR and FSC sources</description>
+        <atom:link rel="self" type="application/rss+xml" href="${escapeXml(selfUrl)}"/>
+        <lastBuildDate>${new Date(updated).toUTCString()}</lastBuildDate>
+${changes.map(change => {
+        const entry = getFeedEntry(change);
+        return `        <item>
+            <guid isPermaLink="false">${escapeXml(entry.id)}</guid>
+            <title>${escapeXml(entry.title)}</title>
+            <link>${escapeXml(entry.link)}</link>
+            <pubDate>${new Date(entry.updated).toUTCString()}</pubDate>
+            <category>${escapeXml(change.category)}</category>
+            <category>${escapeXml(change.priority || 'medium')}</category>
+            <description>${escapeXml(entry.html)}</description>
+        </item>`;
+    }).join('\n')}
+    </channel>
+</rss>
+`;
+}
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;')
+        .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+}
+
+// iCalendar feed of all-day deadline events, each with a one-week alarm
+function renderCalendar(deadlines) {
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//EUDR FSC Monitor//Compliance Deadlines//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        'X-WR-CALNAME:EUDR/FSC Compliance Deadlines'
+    ];
+    for (const deadline of deadlines) {
+        const end = new Date(Date.parse(deadline.date) + 86400000).toISOString().slice(0, 10);
+        const description = [`Applies to: ${deadline.applicability.join(', ')} operators`, `Category: ${deadline.category}`, deadline.url].filter(Boolean).join('\n');
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${deadline.id}@eudr-monitor`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART;VALUE=DATE:${deadline.date.replace(/-/g, '')}`,
+            `DTEND;VALUE=DATE:${end.replace(/-/g, '')}`,
+            `SUMMARY:${escapeICS(`${deadline.category}: ${deadline.name}`)}`,
+            `DESCRIPTION:${escapeICS(description)}`,
+            ...(deadline.url ? [`URL:${deadline.url}`] : []),
+            'TRANSP:TRANSPARENT',
+            'BEGIN:VALARM',
+            'ACTION:DISPLAY',
+            `DESCRIPTION:${escapeICS(deadline.name)}`,
+            'TRIGGER:-P7D',
+            'END:VALARM',
+            'END:VEVENT'
+        );
+    }
+    lines.push('END:VCALENDAR');
+    return lines.map(foldICSLine).join('\r\n') + '\r\n';
+}
+
+function escapeICS(text) {
+    return String(text).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+// RFC 5545 limits content lines to 75 octets; continuation lines start with a space
+function foldICSLine(line) {
+    const parts = [];
+    let current = '';
+    for (const char of line) {
+        if (Buffer.byteLength(current + char) > (parts.length === 0 ? 75 : 74)) {
+            parts.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+function getLastSuccessfulCheck() {
+    const times = Object.values(state.history).filter(h => h.status === 'checked' && h.lastChecked).map(h => Date.parse(h.lastChecked));
+    return times.length > 0 ? Math.max(...times) : null;
+}
+
+// Unhealthy once nothing has been checked successfully for twice the shortest source interval;
+// a restart gets the same grace period before the stale history counts against it
+function getHealth() {
+    const sources = getActiveSources();
+    if (sources.length === 0) return { ok: true, status: 'idle' };
+    const interval = Math.min(...sources.map(getSourceInterval));
+    const lastSuccess = getLastSuccessfulCheck();
+    const since = Math.max(lastSuccess || 0, Date.parse(state.startTime));
+    const ok = Date.now() - since <= 2 * interval;
+    return {
+        ok,
+        status: ok ? 'healthy' : 'stale',
+        lastSuccessfulCheck: lastSuccess ? new Date(lastSuccess).toISOString() : null,
+        maxAgeSeconds: Math.round(2 * interval / 1000)
+    };
+}
+
+function getReadiness() {
+    const ok = readiness.stateLoaded && readiness.firstTick;
+    return { ok, status: ok ? 'ready' : 'starting', ...readiness };
+}
+
+// Prometheus text exposition format
+function renderMetrics() {
+    const lines = [];
+    const metric = (name, type, help, samples) => {
+        lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+        for (const [labels, value] of samples) {
+            const labelText = Object.entries(labels).map(([key, val]) => `${key}="${escapeLabel(val)}"`).join(',');
+            lines.push(`${name}${labelText ? `{${labelText}}` : ''} ${value}`);
+        }
+    };
+    const sources = state.sources.map(source => ({ source, data: state.history[source.url] || {} }));
+    const sourceLabels = source => ({ id: source.id, source: source.name, category: source.category });
+    
+    const changeCounts = new Map();
+    for (const change of state.changes) {
+        const key = JSON.stringify([change.category, change.priority || 'medium']);
+        changeCounts.set(key, (changeCounts.get(key) || 0) + 1);
+    }
+    
+    metric('eudr_up', 'gauge', 'Whether the monitor is healthy (1) or stale (0).', [[{}, getHealth().ok ? 1 : 0]]);
+    metric('eudr_ready', 'gauge', 'Whether state is loaded and the scheduler has run.', [[{}, getReadiness().ok ? 1 : 0]]);
+    metric('eudr_checks_total', 'counter', 'Check runs started, each covering the sources that were due (or every source for a manual check).', [[{}, state.totalChecks]]);
+    metric('eudr_changes_total', 'counter', 'Detected changes by category and priority.',
+        [...changeCounts].map(([key, count]) => { const [category, priority] = JSON.parse(key); return [{ category, priority }, count]; }));
+    metric('eudr_last_successful_check_timestamp_seconds', 'gauge', 'Unix time of the most recent successful source check.',
+        [[{}, Math.round((getLastSuccessfulCheck() || 0) / 1000)]]);
+    metric('eudr_checks_in_flight', 'gauge', 'Sources being checked right now.', [[{}, inFlight.size]]);
+    metric('eudr_source_enabled', 'gauge', 'Whether the source is enabled.',
+        sources.map(({ source }) => [sourceLabels(source), source.enabled === false ? 0 : 1]));
+    metric('eudr_source_up', 'gauge', 'Whether the last check of the source succeeded.',
+        sources.filter(({ data }) => data.status).map(({ source, data }) => [sourceLabels(source), data.status === 'error' ? 0 : 1]));
+    metric('eudr_source_fetch_duration_seconds', 'gauge', 'Duration of the last fetch of the source.',
+        sources.filter(({ data }) => data.duration !== undefined).map(({ source, data }) => [sourceLabels(source), data.duration / 1000]));
+    metric('eudr_source_http_status', 'gauge', 'HTTP status of the last fetch of the source.',
+        sources.filter(({ data }) => data.httpStatus).map(({ source, data }) => [sourceLabels(source), data.httpStatus]));
+    metric('eudr_source_last_check_timestamp_seconds', 'gauge', 'Unix time of the last completed check of the source.',
+        sources.filter(({ data }) => data.lastChecked).map(({ source, data }) => [sourceLabels(source), Math.round(Date.parse(data.lastChecked) / 1000)]));
+    metric('eudr_source_flapping', 'gauge', 'Whether the source is oscillating between content versions.',
+        sources.map(({ source, data }) => [sourceLabels(source), data.gate && data.gate.flapping ? 1 : 0]));
+    metric('eudr_source_errors_total', 'counter', 'Failed checks per source since the process started.',
+        sources.map(({ source }) => [sourceLabels(source), metrics.sourceErrors.get(source.url) || 0]));
+    metric('eudr_notifications_total', 'counter', 'Notification deliveries per channel since the process started.',
+        [...metrics.notifications].map(([key, count]) => { const [channel, type, result] = JSON.parse(key); return [{ channel, type, result }, count]; }));
+    metric('eudr_notifications_queued', 'gauge', 'Notifications held in the outbox for a digest or the end of quiet hours.',
+        [...new Set(state.outbox.map(bucket => bucket.channel))].map(channel => [{ channel },
+            state.outbox.filter(bucket => bucket.channel === channel).reduce((count, bucket) => count + bucket.items.length, 0)]));
+    metric('eudr_state_saves_total', 'counter', 'Successful state file writes.', [[{}, storageStats.saves]]);
+    metric('eudr_state_save_failures_total', 'counter', 'Failed state file writes.', [[{}, storageStats.saveFailures]]);
+    metric('eudr_journal_append_failures_total', 'counter', 'Failed journal record appends.', [[{}, storageStats.journalFailures]]);
+    metric('eudr_sse_clients', 'gauge', 'Connected dashboard event streams.', [[{}, sseClients.size]]);
+    
+    return lines.join('\n') + '\n';
+}
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
 
-function getDashboardHTML() {
+function getTestChange() {
+    return {
+        id: 'test',
+        category: 'EUDR',
+        name: 'Test notification from EUDR/FSC Monitor',
+        url: CONFIG.DASHBOARD_URL,
+        timestamp: new Date().toISOString(),
+        priority: 'high',
+        diff: null,
+        new: false
+    };
+}
+
+// Status payloads and the changes kept in state carry only the diff counts; the full diff is served from the
+// journal by /api/changes/:id/diff. Already summarized changes pass through unchanged.
+function summarizeChange(change) {
+    const { diff, sections, ...rest } = change;
+    return {
+        ...rest,
+        diffSummary: diff ? { added: diff.addedCount, removed: diff.removedCount } : rest.diffSummary || null,
+        ...(sections ? { sectionSummary: sections.map(section => section.label) } : {})
+    };
+}
+
+function getLoginHTML(error) {
+    const messages = {
+        invalid: 'Invalid username or password.',
+        locked: 'Too many failed attempts. Try again in 15 minutes.'
+    };
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Sign in - EUDR & FSC Monitor</title>
+    <style>
+        * { margin: 0; padding: 0; box-sizing: border-box; }
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            min-height: 100vh;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            padding: 20px;
+        }
+        form {
+            background: white;
+            padding: 35px;
+            border-radius: 15px;
+            box-shadow: 0 10px 30px rgba(0,0,0,0.2);
+            width: 100%;
+            max-width: 380px;
+        }
+        h1 { color: #2d3748; font-size: 1.6em; margin-bottom: 20px; }
+        label { display: block; color: #4a5568; font-size: 0.9em; margin-bottom: 15px; }
+        input { display: block; width: 100%; margin-top: 5px; padding: 10px 12px; border: 1px solid #cbd5e0; border-radius: 8px; font-size: 1em; }
+        button { width: 100%; background: #667eea; color: white; border: none; padding: 12px; border-radius: 8px; font-size: 1em; font-weight: 600; cursor: pointer; }
+        button:hover { background: #5a67d8; }
+        .error { color: #c53030; margin-bottom: 15px; font-size: 0.9em; }
+    </style>
+</head>
+<body>
+    <form method="POST" action="/login">
+        <h1>🌲 EUDR & FSC Monitor</h1>
+        ${messages[error] ? `<p class="error">${messages[error]}</p>` : ''}
+        <label>Username <input name="user" autocomplete="username" required autofocus></label>
+        <label>Password <input name="password" type="password" autocomplete="current-password" required></label>
+        <button type="submit">Sign in</button>
+    </form>
+</body>
+</html>`;
+}
+
+function getDashboardHTML(auth = {}) {
     return `<!DOCTYPE html>
 <html lang="en">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="csrf-token" content="${auth.session ? auth.session.csrfToken : AUTH_ENABLED ? '' : OPEN_CSRF_TOKEN}">
     <title>EUDR & FSC Monitor</title>
+    <link rel="alternate" type="application/atom+xml" title="EUDR & FSC Changes (Atom)" href="/feed.atom">
+    <link rel="alternate" type="application/rss+xml" title="EUDR & FSC Changes (RSS)" href="/feed.rss">
     <link rel="icon" href="data:image/svg+xml,<svg xmlns='http://www.w3.org/2000/svg' viewBox='0 0 100 100'><text y='.9em' font-size='90'>🌲</text></svg>">
     <style>
         * { margin: 0; padding: 0; box-sizing: border-box; }
@@ -610,6 +4803,11 @@ function getDashboardHTML() {
             color: #333;
         }
         
+        .priority-low {
+            background: #cbd5e0;
+            color: #333;
+        }
+        
         .change-item h3 {
             color: #c53030;
             margin-bottom: 10px;
@@ -631,6 +4829,95 @@ function getDashboardHTML() {
         
         .change-item a:hover { text-decoration: underline; }
         
+        .diff-summary {
+            display: inline-flex;
+            align-items: center;
+            gap: 10px;
+            margin-top: 8px;
+            font-size: 0.9em;
+        }
+        
+        .diff-added-count { color: #2f855a; font-weight: 600; }
+        .diff-removed-count { color: #c53030; font-weight: 600; }
+        
+        .btn-diff {
+            background: white;
+            border: 1px solid #cbd5e0;
+            color: var(--dark);
+            padding: 4px 12px;
+            border-radius: 6px;
+            cursor: pointer;
+            font-size: 0.85em;
+        }
+        
+        .btn-diff:hover { background: var(--light); }
+        
+        .diff-view {
+            display: none;
+            margin-top: 12px;
+            background: white;
+            border: 1px solid #e2e8f0;
+            border-radius: 8px;
+            max-height: 320px;
+            overflow: auto;
+            font-family: Menlo, Consolas, monospace;
+            font-size: 0.8em;
+        }
+        
+        .diff-view.show { display: block; }
+        .diff-line { padding: 2px 10px; white-space: pre-wrap; word-break: break-word; }
+        .diff-line.added { background: #f0fff4; color: #22543d; }
+        .diff-line.removed { background: #fff5f5; color: #742a2a; }
+        .diff-line.note { color: #718096; font-style: italic; }
+        .diff-section { padding: 6px 10px 2px; font-weight: 600; color: var(--dark); }
+        
+        .changes-filter {
+            margin-bottom: 15px;
+            color: #4a5568;
+            font-size: 0.9em;
+        }
+        
+        .changes-filter select, .triage select, .triage input {
+            padding: 6px 10px;
+            border: 1px solid #cbd5e0;
+            border-radius: 6px;
+            font-size: 0.9em;
+            margin-left: 5px;
+        }
+        
+        .status-badge {
+            display: inline-block;
+            padding: 3px 10px;
+            border-radius: 12px;
+            font-size: 0.75em;
+            font-weight: bold;
+            margin-left: 6px;
+            background: #e2e8f0;
+            color: #2d3748;
+            text-transform: uppercase;
+        }
+        
+        .status-badge.acknowledged { background: #bee3f8; color: #2a4365; }
+        .status-badge.in_review { background: #fefcbf; color: #744210; }
+        .status-badge.actioned { background: #c6f6d5; color: #22543d; }
+        .status-badge.dismissed { background: #e2e8f0; color: #718096; }
+        
+        .triage {
+            display: flex;
+            gap: 10px;
+            align-items: center;
+            flex-wrap: wrap;
+            margin-top: 12px;
+            padding-top: 12px;
+            border-top: 1px dashed #feb2b2;
+            font-size: 0.9em;
+        }
+        
+        .change-notes { margin-top: 10px; font-size: 0.85em; }
+        .change-note { background: white; border-radius: 6px; padding: 6px 10px; margin-bottom: 5px; color: #4a5568; }
+        .change-note em { color: #718096; }
+        .change-item.resolved { background: #f7fafc; border-left-color: #a0aec0; }
+        
         .no-changes {
             text-align: center;
             padding: 40px;
@@ -682,6 +4969,120 @@ function getDashboardHTML() {
         .btn.secondary { background: var(--success); }
         .btn.secondary:hover { background: #38a169; }
         
+        .source-manager-row {
+            display: flex;
+            align-items: center;
+            gap: 10px;
+            padding: 10px 0;
+            border-bottom: 1px solid #edf2f7;
+            flex-wrap: wrap;
+        }
+        
+        .source-manager-row.disabled .source-manager-name { opacity: 0.5; text-decoration: line-through; }
+        .source-manager-name { flex: 1; min-width: 200px; color: var(--dark); }
+        .source-manager-name small { display: block; color: #718096; word-break: break-all; }
+        
+        .source-form {
+            display: grid;
+            grid-template-columns: 2fr 3fr 1fr 1fr auto;
+            gap: 10px;
+            margin-top: 20px;
+        }
+        
+        .source-form input, .source-form select, .source-manager-row select {
+            padding: 8px 10px;
+            border: 1px solid #cbd5e0;
+            border-radius: 6px;
+            font-size: 0.9em;
+        }
+        
+        .btn-small {
+            background: var(--primary);
+            color: white;
+            border: none;
+            padding: 8px 14px;
+            border-radius: 6px;
+            cursor: pointer;
+            font-size: 0.85em;
+        }
+        
+        a.btn-small { text-decoration: none; display: inline-block; }
+        .btn-small.danger { background: var(--danger); }
+        .btn-small.muted { background: #a0aec0; }
+        
+        .report-form {
+            display: flex;
+            gap: 10px;
+            align-items: center;
+            flex-wrap: wrap;
+            margin-top: 20px;
+            color: #4a5568;
+            font-size: 0.9em;
+        }
+        
+        .report-form input, .report-form select {
+            padding: 8px 10px;
+            border: 1px solid #cbd5e0;
+            border-radius: 6px;
+            margin-left: 5px;
+        }
+        
+        .live-log-title {
+            margin-top: 20px;
+            font-size: 1em;
+            color: var(--dark);
+            display: flex;
+            align-items: center;
+            gap: 8px;
+        }
+        
+        .live-indicator {
+            width: 10px;
+            height: 10px;
+            border-radius: 50%;
+            background: #cbd5e0;
+        }
+        
+        .live-indicator.connected { background: var(--success); animation: pulse-dot 2s infinite; }
+        
+        .live-log {
+            margin-top: 10px;
+            max-height: 220px;
+            overflow-y: auto;
+            font-family: Menlo, Consolas, monospace;
+            font-size: 0.8em;
+            background: var(--light);
+            border-radius: 8px;
+        }
+        
+        .live-log-item { padding: 4px 10px; border-bottom: 1px solid #edf2f7; color: #4a5568; }
+        .live-log-item.success { color: #2f855a; }
+        .live-log-item.warning { color: #c05621; }
+        .live-log-item.error { color: #c53030; }
+        
+        .log-filter { display: flex; gap: 8px; flex-wrap: wrap; }
+        .log-filter input, .log-filter select { padding: 6px 8px; border: 1px solid #cbd5e0; border-radius: 6px; font-size: 0.85em; }
+        .activity-log { max-height: 420px; overflow-y: auto; margin: 12px 0; font-family: monospace; font-size: 0.8em; }
+        .activity-log .live-log-item small { color: #a0aec0; margin-left: 6px; }
+        
+        .form-error { color: #c53030; font-size: 0.9em; margin-top: 8px; }
+        
+        .certificate-line { font-size: 0.85em; color: #4a5568; }
+        .certificate-line.alert { color: #c53030; }
+        .gate-line { font-size: 0.85em; color: #c05621; }
+        
+        .suppressed-item { padding: 8px 10px; border-bottom: 1px solid #edf2f7; font-size: 0.9em; }
+        .suppressed-item p { color: #718096; font-size: 0.9em; margin-top: 2px; }
+        .suppressed-reason { background: #e2e8f0; color: #4a5568; padding: 2px 8px; border-radius: 10px; font-size: 0.75em; margin-right: 6px; }
+        .suppressed-reason.flapping, .suppressed-reason.cooldown { background: #feebc8; color: #9c4221; }
+        
+        .watchlist-hint { color: #718096; font-size: 0.9em; margin-bottom: 10px; }
+        .watchlist-terms { width: 100%; padding: 8px 10px; border: 1px solid #cbd5e0; border-radius: 6px; font-family: monospace; font-size: 0.9em; }
+        .watchlist-footer { display: flex; gap: 12px; align-items: center; margin-top: 10px; color: #718096; font-size: 0.85em; }
+        .watchlist-matches { margin-top: 8px; font-size: 0.85em; }
+        .watchlist-match { background: #fffbea; border-left: 3px solid #d69e2e; padding: 4px 8px; margin-bottom: 4px; color: #4a5568; }
+        .change-tag { background: #d69e2e; color: white; padding: 2px 8px; border-radius: 10px; font-size: 0.7em; margin-left: 6px; vertical-align: middle; }
+        
         .info-box {
             background: #ebf8ff;
             border-left: 4px solid #4299e1;
@@ -696,6 +5097,16 @@ function getDashboardHTML() {
             margin-bottom: 5px;
         }
         
+        .deadline-list { display: grid; gap: 8px; margin: 8px 0; }
+        .deadline { display: flex; align-items: center; gap: 12px; flex-wrap: wrap; }
+        .deadline-days { min-width: 90px; font-size: 1.3em; font-weight: 700; color: var(--primary); }
+        .deadline-days.soon { color: #c53030; }
+        .deadline-days.past { color: #a0aec0; }
+        .deadline-name { flex: 1; min-width: 200px; }
+        .deadline-name small { display: block; color: #4a5568; }
+        .applicability { background: #bee3f8; border-radius: 10px; padding: 1px 8px; font-size: 0.75em; margin-right: 4px; }
+        .calendar-link { font-size: 0.85em; color: #2b6cb0; }
+        
         .countdown {
             font-size: 0.9em;
             color: var(--primary);
@@ -734,7 +5145,7 @@ function getDashboardHTML() {
             .header-content { text-align: center; }
             .btn-group { flex-direction: column; }
             .btn { min-width: 100%; }
-            .grid-2, .grid-4 { grid-template-columns: 1fr; }
+            .grid-2, .grid-4, .source-form { grid-template-columns: 1fr; }
         }
     </style>
 </head>
@@ -755,6 +5166,10 @@ function getDashboardHTML() {
                     <span class="pulse-dot"></span>
                     <span id="liveStatus">LIVE & MONITORING</span>
                 </div>
+                ${auth.session ? `
+                <button class="btn-small muted" onclick="logout()">👤 ${escapeHtml(auth.user)} · <span id="logoutBtn">Log out</span></button>` : ''}
+                ${AUTH_ENABLED && auth.type === 'anonymous' ? `
+                <a class="btn-small" href="/login" id="loginLink">🔑 Log in</a>` : ''}
             </div>
         </div>
         
@@ -770,8 +5185,9 @@ function getDashboardHTML() {
         </div>
         
         <div class="info-box">
-            <strong>⚠️ <span id="eudrUpdateTitle">IMPORTANT: EUDR Implementation Delayed to December 2026</span></strong>
-            <p id="eudrUpdateText">The EU has postponed EUDR compliance to December 30, 2026 for large/medium operators (June 30, 2027 for small businesses). New simplifications and amendments are being monitored. Stay updated here.</p>
+            <strong>📅 <span id="deadlinesTitle">Compliance Deadlines</span></strong>
+            <div class="deadline-list" id="deadlineList"></div>
+            <a href="/calendar.ics" class="calendar-link" id="calendarLink">Subscribe in Outlook / Google Calendar</a>
         </div>
         
         <div class="card">
@@ -788,9 +5204,9 @@ function getDashboardHTML() {
                     <div class="stat-time" id="changesInfo">All Time</div>
                 </div>
                 <div class="stat">
-                    <div class="stat-number">10</div>
+                    <div class="stat-number" id="sourcesCount">0</div>
                     <div class="stat-label" id="sourcesLabel">Sources Monitored</div>
-                    <div class="stat-time">6 EUDR + 4 FSC</div>
+                    <div class="stat-time" id="sourcesBreakdown"></div>
                 </div>
                 <div class="stat">
                     <div class="stat-number" id="lastCheck">Never</div>
@@ -820,6 +5236,46 @@ function getDashboardHTML() {
                 <button class="btn" onclick="checkNow()" id="checkNowBtn">🔍 Check Now</button>
                 <button class="btn secondary" onclick="refresh()" id="refreshBtn">🔄 Refresh Dashboard</button>
             </div>
+            <div class="report-form"${hasFullAccess(auth) ? '' : ' style="display: none;"'}>
+                <label><span id="reportFromLabel">From</span> <input type="date" id="reportFrom"></label>
+                <label><span id="reportToLabel">To</span> <input type="date" id="reportTo"></label>
+                <select id="reportFormat">
+                    <option value="html">HTML (printable)</option>
+                    <option value="csv">CSV</option>
+                    <option value="json">JSON</option>
+                </select>
+                <button class="btn-small" onclick="exportReport()" id="exportReportBtn">💾 Download Report</button>
+            </div>
+            <h3 class="live-log-title"><span class="live-indicator" id="liveIndicator"></span> <span id="liveActivityTitle">Live Activity</span></h3>
+            <div class="live-log" id="liveLog"></div>
+        </div>
+        
+        <div class="card">
+            <h2>🗂️ <span id="sourceManagerTitle">Manage Sources</span></h2>
+            <div id="sourceManagerList"></div>
+            <form class="source-form" onsubmit="addSource(event)">
+                <input id="newSourceName" placeholder="Name" required>
+                <input id="newSourceUrl" type="url" placeholder="https://..." required>
+                <select id="newSourceCategory">
+                    ${CATEGORIES.map(c => `<option value="${c}">${c}</option>`).join('')}
+                </select>
+                <select id="newSourcePriority">
+                    ${PRIORITIES.map(p => `<option value="${p}"${p === 'medium' ? ' selected' : ''}>${p}</option>`).join('')}
+                </select>
+                <button class="btn-small" type="submit" id="addSourceBtn">Add Source</button>
+            </form>
+            <div class="form-error" id="sourceFormError"></div>
+        </div>
+        
+        <div class="card">
+            <h2>🎯 <span id="watchlistTitle">Watchlist</span></h2>
+            <p class="watchlist-hint" id="watchlistHint">One term per line. Changes mentioning a term are escalated; use /pattern/ for regular expressions.</p>
+            <textarea id="watchlistTerms" class="watchlist-terms" rows="6"></textarea>
+            <div class="watchlist-footer">
+                <button class="btn-small" onclick="saveWatchlist()" id="saveWatchlistBtn">Save Watchlist</button>
+                <span id="watchlistDigest"></span>
+            </div>
+            <div class="form-error" id="watchlistError"></div>
         </div>
         
         <div class="card">
@@ -842,13 +5298,52 @@ function getDashboardHTML() {
         
         <div class="card">
             <h2>🚨 <span id="detectedChangesTitle">Detected Changes</span></h2>
+            <div class="changes-filter">
+                <label><span id="statusFilterLabel">Status</span>
+                    <select id="statusFilter" onchange="refresh()">
+                        <option value="">All</option>
+                        <option value="new,acknowledged,in_review">Open</option>
+                        ${CHANGE_STATUSES.map(st => `<option value="${st}">${st.replace('_', ' ')}</option>`).join('')}
+                    </select>
+                </label>
+            </div>
             <div id="changesList"></div>
         </div>
+        
+        <div class="card">
+            <h2>🔕 <span id="suppressedTitle">Suppressed Detections</span></h2>
+            <p class="watchlist-hint" id="suppressedHint">Content changes that did not raise an alert, and why.</p>
+            <div id="suppressedList"></div>
+        </div>
+        
+        <div class="card"${hasFullAccess(auth) ? '' : ' style="display: none;"'}>
+            <h2>📜 <span id="activityLogTitle">Activity Log</span></h2>
+            <form class="changes-filter log-filter" onsubmit="loadLogs(event)">
+                <select id="logLevel">
+                    <option value="">All levels</option>
+                    <option value="error">Errors</option>
+                    <option value="error,warning">Warnings and errors</option>
+                    <option value="info">Info</option>
+                </select>
+                <select id="logSource">
+                    <option value="">All sources</option>
+                    ${state.sources.map(source => `<option value="${source.id}">${escapeHtml(source.name)}</option>`).join('')}
+                </select>
+                <input type="date" id="logFrom">
+                <input type="date" id="logTo">
+                <input id="logSearch" placeholder="Search...">
+                <button class="btn-small" type="submit" id="logSearchBtn">Search</button>
+            </form>
+            <div class="activity-log" id="activityLog"></div>
+            <button class="btn-small muted" id="logMoreBtn" onclick="loadLogs(null, true)" style="display: none;">Load more</button>
+        </div>
     </div>
     
     <script>
         let currentLang = 'en';
+        const csrfToken = document.querySelector('meta[name="csrf-token"]').content;
         let updateInterval, countdownInterval;
+        const openDiffs = {};
         
         const translations = {
             en: {
@@ -857,8 +5352,12 @@ function getDashboardHTML() {
                 alertTitle: 'Changes Detected!',
                 alertDescription: 'New updates found on monitored sources. Review changes below.',
                 markReadBtn: 'Mark All as Read',
-                eudrUpdateTitle: 'IMPORTANT: EUDR Implementation Delayed to December 2026',
-                eudrUpdateText: 'The EU has postponed EUDR compliance to December 30, 2026 for large/medium operators (June 30, 2027 for small businesses). New simplifications and amendments are being monitored. Stay updated here.',
+                deadlinesTitle: 'Compliance Deadlines',
+                calendarLink: 'Subscribe in Outlook / Google Calendar',
+                daysLeft: 'days',
+                today: 'Today',
+                passed: 'Passed',
+                operators: { large: 'Large', medium: 'Medium', small: 'Small' },
                 monitoringStatusTitle: 'Monitoring Status',
                 totalChecksLabel: 'Total Checks',
                 changesLabel: 'Changes Detected',
@@ -868,10 +5367,27 @@ function getDashboardHTML() {
                 sourceStatusTitle: 'Source Status',
                 changeHistoryTitle: 'Check History (24h)',
                 controlsTitle: 'Controls',
+                reportFromLabel: 'From',
+                reportToLabel: 'To',
+                exportReportBtn: '💾 Download Report',
+                logoutBtn: 'Log out',
+                liveActivityTitle: 'Live Activity',
+                activityLogTitle: 'Activity Log',
+                logSearchBtn: 'Search',
+                statusFilterLabel: 'Status',
                 checkNowBtn: '🔍 Check Now',
                 refreshBtn: '🔄 Refresh Dashboard',
+                sourceManagerTitle: 'Manage Sources',
+                addSourceBtn: 'Add Source',
+                watchlistTitle: 'Watchlist',
+                watchlistHint: 'One term per line. Changes mentioning a term are escalated; use /pattern/ for regular expressions.',
+                saveWatchlistBtn: 'Save Watchlist',
                 quickLinksTitle: 'Quick Access',
                 detectedChangesTitle: 'Detected Changes',
+                suppressedTitle: 'Suppressed Detections',
+                suppressedHint: 'Content changes that did not raise an alert, and why.',
+                noSuppressed: 'No suppressed detections.',
+                suppressReasons: { unconfirmed: 'Not confirmed', flapping: 'Flapping', cooldown: 'Cooldown' },
                 noChangesTitle: 'No changes detected yet',
                 noChangesDesc: 'System is monitoring. Updates will appear here when changes occur.'
             },
@@ -881,8 +5397,12 @@ function getDashboardHTML() {
                 alertTitle: 'Ændringer Fundet!',
                 alertDescription: 'Nye opdateringer fundet på overvågede kilder. Se ændringer nedenfor.',
                 markReadBtn: 'Markér Alle Som Læst',
-                eudrUpdateTitle: 'VIGTIGT: EUDR Implementering Udsat til December 2026',
-                eudrUpdateText: 'EU har udsat EUDR compliance til 30. december 2026 for store/mellemstore virksomheder (30. juni 2027 for små virksomheder). Nye forenklinger og ændringer overvåges. Bliv opdateret her.',
+                deadlinesTitle: 'Compliance-frister',
+                calendarLink: 'Abonnér i Outlook / Google Kalender',
+                daysLeft: 'dage',
+                today: 'I dag',
+                passed: 'Overskredet',
+                operators: { large: 'Store', medium: 'Mellemstore', small: 'Små' },
                 monitoringStatusTitle: 'Overvågningsstatus',
                 totalChecksLabel: 'Totale Checks',
                 changesLabel: 'Ændringer Fundet',
@@ -892,10 +5412,27 @@ function getDashboardHTML() {
                 sourceStatusTitle: 'Kilde Status',
                 changeHistoryTitle: 'Check Historik (24t)',
                 controlsTitle: 'Kontroller',
+                reportFromLabel: 'Fra',
+                reportToLabel: 'Til',
+                exportReportBtn: '💾 Download Rapport',
+                logoutBtn: 'Log ud',
+                liveActivityTitle: 'Live Aktivitet',
+                activityLogTitle: 'Aktivitetslog',
+                logSearchBtn: 'Søg',
+                statusFilterLabel: 'Status',
                 checkNowBtn: '🔍 Tjek Nu',
                 refreshBtn: '🔄 Opdater Dashboard',
+                sourceManagerTitle: 'Administrer Kilder',
+                addSourceBtn: 'Tilføj Kilde',
+                watchlistTitle: 'Overvågningsliste',
+                watchlistHint: 'Ét udtryk pr. linje. Ændringer der nævner et udtryk eskaleres; brug /mønster/ til regulære udtryk.',
+                saveWatchlistBtn: 'Gem Liste',
                 quickLinksTitle: 'Hurtig Adgang',
                 detectedChangesTitle: 'Fundne Ændringer',
+                suppressedTitle: 'Undertrykte Fund',
+                suppressedHint: 'Indholdsændringer der ikke udløste en alarm, og hvorfor.',
+                noSuppressed: 'Ingen undertrykte fund.',
+                suppressReasons: { unconfirmed: 'Ikke bekræftet', flapping: 'Svinger', cooldown: 'Pause' },
                 noChangesTitle: 'Ingen ændringer fundet endnu',
                 noChangesDesc: 'Systemet overvåger. Opdateringer vises her når ændringer sker.'
             },
@@ -905,8 +5442,12 @@ function getDashboardHTML() {
                 alertTitle: '¡Cambios Detectados!',
                 alertDescription: 'Nuevas actualizaciones encontradas en fuentes monitoreadas. Revise los cambios a continuación.',
                 markReadBtn: 'Marcar Todos Como Leídos',
-                eudrUpdateTitle: 'IMPORTANTE: Implementación EUDR Retrasada hasta Diciembre 2026',
-                eudrUpdateText: 'La UE ha pospuesto el cumplimiento de EUDR hasta el 30 de diciembre de 2026 para operadores grandes/medianos (30 de junio de 2027 para pequeñas empresas). Se están monitoreando nuevas simplificaciones y enmiendas. Manténgase actualizado aquí.',
+                deadlinesTitle: 'Plazos de Cumplimiento',
+                calendarLink: 'Suscribirse en Outlook / Google Calendar',
+                daysLeft: 'días',
+                today: 'Hoy',
+                passed: 'Vencido',
+                operators: { large: 'Grandes', medium: 'Medianos', small: 'Pequeños' },
                 monitoringStatusTitle: 'Estado del Monitoreo',
                 totalChecksLabel: 'Verificaciones Totales',
                 changesLabel: 'Cambios Detectados',
@@ -916,15 +5457,49 @@ function getDashboardHTML() {
                 sourceStatusTitle: 'Estado de Fuentes',
                 changeHistoryTitle: 'Historial de Verificaciones (24h)',
                 controlsTitle: 'Controles',
+                reportFromLabel: 'Desde',
+                reportToLabel: 'Hasta',
+                exportReportBtn: '💾 Descargar Informe',
+                logoutBtn: 'Cerrar sesión',
+                liveActivityTitle: 'Actividad en Vivo',
+                activityLogTitle: 'Registro de Actividad',
+                logSearchBtn: 'Buscar',
+                statusFilterLabel: 'Estado',
                 checkNowBtn: '🔍 Verificar Ahora',
                 refreshBtn: '🔄 Actualizar Panel',
+                sourceManagerTitle: 'Gestionar Fuentes',
+                addSourceBtn: 'Añadir Fuente',
+                watchlistTitle: 'Lista de Vigilancia',
+                watchlistHint: 'Un término por línea. Los cambios que mencionan un término se escalan; use /patrón/ para expresiones regulares.',
+                saveWatchlistBtn: 'Guardar Lista',
                 quickLinksTitle: 'Acceso Rápido',
                 detectedChangesTitle: 'Cambios Detectados',
+                suppressedTitle: 'Detecciones Suprimidas',
+                suppressedHint: 'Cambios de contenido que no generaron una alerta, y por qué.',
+                noSuppressed: 'No hay detecciones suprimidas.',
+                suppressReasons: { unconfirmed: 'No confirmado', flapping: 'Oscilante', cooldown: 'En pausa' },
                 noChangesTitle: 'Aún no se detectaron cambios',
                 noChangesDesc: 'El sistema está monitoreando. Las actualizaciones aparecerán aquí cuando ocurran cambios.'
             }
         };
         
+        // Mutating requests carry the session's CSRF token; an expired session sends the user back to login
+        async function api(path, options = {}) {
+            const res = await fetch(path, {
+                ...options,
+                headers: { 'X-CSRF-Token': csrfToken, ...(options.body ? { 'Content-Type': 'application/json' } : {}), ...options.headers }
+            });
+            if (res.status === 401) {
+                window.location.href = '/login';
+            }
+            return res;
+        }
+        
+        async function logout() {
+            await api('/logout', { method: 'POST' });
+            window.location.href = '/login';
+        }
+        
         function setLanguage(lang) {
             currentLang = lang;
             document.querySelectorAll('.lang-btn').forEach(btn => btn.classList.remove('active'));
@@ -972,6 +5547,7 @@ function getDashboardHTML() {
                 if (data.nextCheck) {
                     updateCountdown(data.nextCheck);
                 }
+                renderDeadlines(data.deadlines);
                 
                 // Alert banner
                 if (data.hasNewChanges && data.recentChanges.length > 0) {
@@ -985,14 +5561,36 @@ function getDashboardHTML() {
                 }
                 
                 // Source status
-                renderSourceStatus(data.sources);
+                const enabledSources = data.sources.filter(s => s.enabled);
+                document.getElementById('sourcesCount').textContent = enabledSources.length;
+                document.getElementById('sourcesBreakdown').textContent = [...new Set(enabledSources.map(s => s.category))]
+                    .map(category => enabledSources.filter(s => s.category === category).length + ' ' + category)
+                    .join(' + ');
+                renderSourceStatus(enabledSources);
+                renderSourceManager(data.sources);
+                
+                // Changes - skipped while someone is typing into a triage field
+                const changesList = document.getElementById('changesList');
+                if (!changesList.contains(document.activeElement)) {
+                    const statusFilter = document.getElementById('statusFilter').value;
+                    if (statusFilter) {
+                        const filtered = await (await fetch('/api/changes?limit=20&status=' + statusFilter)).json();
+                        renderChanges(filtered.changes);
+                    } else {
+                        renderChanges(data.recentChanges);
+                    }
+                }
                 
-                // Changes
-                renderChanges(data.recentChanges);
+                renderSuppressed(data.suppressed);
                 
                 // Chart
                 renderChart(data.checkHistory);
                 
+                const liveLog = document.getElementById('liveLog');
+                if (liveLog.children.length === 0) {
+                    data.recentLogs.slice(0, 12).reverse().forEach(appendLiveLog);
+                }
+                
             } catch (error) {
                 console.error('Refresh error:', error);
             }
@@ -1005,24 +5603,117 @@ function getDashboardHTML() {
                 return;
             }
             
-            container.innerHTML = sources.map(source => {
-                const statusClass = source.status === 'checked' ? 'checked' : source.status === 'error' ? 'error' : 'checking';
-                const statusText = source.status === 'checked' ? '✅ Checked' : source.status === 'error' ? '❌ Error' : '⏳ Checking';
-                const timeAgo = source.lastChecked ? getTimeAgo(source.lastChecked) : 'Never';
-                
-                return \`
-                    <div class="source-status-item \${source.category.toLowerCase()}">
-                        <div class="source-info">
-                            <h3>\${source.name}</h3>
-                            <p>Last checked: \${timeAgo}</p>
-                        </div>
-                        <div class="status-indicator">
-                            <span class="status-dot \${statusClass}"></span>
-                            <span>\${statusText}</span>
-                        </div>
+            container.innerHTML = sources.map(renderSourceRow).join('');
+        }
+        
+        function renderSourceRow(source) {
+            const statusClass = source.status === 'checked' ? 'checked' : source.status === 'error' ? 'error' : 'checking';
+            const statusText = source.status === 'checked' ? '✅ Checked' : source.status === 'error' ? '❌ Error' : '⏳ Checking';
+            const timeAgo = source.lastChecked ? getTimeAgo(source.lastChecked) : 'Never';
+            
+            return \`
+                <div class="source-status-item \${source.category.toLowerCase()}" id="source-\${source.id}">
+                    <div class="source-info">
+                        <h3>\${escapeHtml(source.name)}</h3>
+                        <p>Last checked: \${timeAgo}\${source.nextCheck ? ' · Next: ' + getTimeUntil(source.nextCheck) : ''}\${source.httpStatus ? \` · HTTP \${source.httpStatus}\${source.notModified ? ' (not modified)' : ''} · \${(source.duration / 1000).toFixed(1)}s\` : ''}</p>
+                        \${source.status === 'error' && source.lastError ? \`<p style="color: #c53030;">\${escapeHtml(source.lastError)}</p>\` : ''}
+                        \${source.certificates ? renderCertificates(source.certificates) : ''}
+                        \${source.documentCount !== undefined ? \`<p>📄 \${source.documentCount} document(s) tracked</p>\` : ''}
+                        \${source.newsCount !== undefined ? \`<p>📰 \${source.newsCount} article(s) listed</p>\` : ''}
+                        \${source.flapping ? '<p class="gate-line">🔁 Flapping - alerts held until it settles</p>' : ''}
+                        \${(source.pending || []).filter(pending => !pending.held).map(pending => \`<p class="gate-line">⏳ \${escapeHtml(pending.name)} awaiting confirmation (\${pending.count}/\${pending.required})</p>\`).join('')}
+                        \${source.cooldownUntil ? \`<p class="gate-line">🧊 Alert cooldown until \${new Date(source.cooldownUntil).toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'})}</p>\` : ''}
                     </div>
-                \`;
-            }).join('');
+                    <div class="status-indicator">
+                        <span class="status-dot \${statusClass}"></span>
+                        <span>\${statusText}</span>
+                    </div>
+                </div>
+            \`;
+        }
+        
+        function renderCertificates(certificates) {
+            return Object.entries(certificates).map(([code, cert]) => \`
+                <p class="certificate-line \${cert.status === 'valid' ? '' : 'alert'}">
+                    <strong>\${escapeHtml(code)}</strong>\${cert.holder ? ' · ' + escapeHtml(cert.holder) : ''} ·
+                    \${escapeHtml(cert.status || 'unknown')}\${cert.expiresAt ? ' · expires ' + escapeHtml(cert.expiresAt) : ''}\${cert.error ? ' · ⚠️ ' + escapeHtml(cert.error) : ''}
+                </p>
+            \`).join('');
+        }
+        
+        function renderSourceManager(sources) {
+            const priorities = ${JSON.stringify(PRIORITIES)};
+            document.getElementById('sourceManagerList').innerHTML = sources.map(source => \`
+                <div class="source-manager-row \${source.enabled ? '' : 'disabled'}">
+                    <div class="source-manager-name">
+                        <strong>\${escapeHtml(source.category)}</strong> · \${escapeHtml(source.name)}
+                        <small>\${escapeHtml(source.url)}</small>
+                    </div>
+                    <select onchange="updateSource('\${source.id}', { priority: this.value })">
+                        \${priorities.map(p => \`<option value="\${p}" \${p === source.priority ? 'selected' : ''}>\${p}</option>\`).join('')}
+                    </select>
+                    <button class="btn-small muted" onclick="updateSource('\${source.id}', { enabled: \${!source.enabled} })">\${source.enabled ? 'Disable' : 'Enable'}</button>
+                    <button class="btn-small danger" onclick="deleteSource('\${source.id}')">Delete</button>
+                </div>
+            \`).join('');
+        }
+        
+        async function addSource(event) {
+            event.preventDefault();
+            const errorEl = document.getElementById('sourceFormError');
+            errorEl.textContent = '';
+            
+            const res = await api('/api/sources', {
+                method: 'POST',
+                body: JSON.stringify({
+                    name: document.getElementById('newSourceName').value,
+                    url: document.getElementById('newSourceUrl').value,
+                    category: document.getElementById('newSourceCategory').value,
+                    priority: document.getElementById('newSourcePriority').value
+                })
+            });
+            
+            if (!res.ok) {
+                errorEl.textContent = (await res.json()).error;
+                return;
+            }
+            event.target.reset();
+            refresh();
+        }
+        
+        async function loadWatchlist() {
+            const res = await api('/api/watchlist');
+            if (!res.ok) return;
+            const data = await res.json();
+            document.getElementById('watchlistTerms').value = data.terms.join('\\n');
+            document.getElementById('watchlistDigest').textContent = data.digest.enabled ?
+                \`📬 \${data.digest.queued} change(s) queued for the digest\${data.digest.next ? ' · next ' + new Date(data.digest.next).toLocaleString() : ''}\` : '';
+        }
+        
+        async function saveWatchlist() {
+            const errorEl = document.getElementById('watchlistError');
+            errorEl.textContent = '';
+            const terms = document.getElementById('watchlistTerms').value.split('\\n').map(t => t.trim()).filter(Boolean);
+            const res = await api('/api/watchlist', { method: 'PUT', body: JSON.stringify({ terms }) });
+            if (!res.ok) {
+                errorEl.textContent = (await res.json()).error;
+                return;
+            }
+            loadWatchlist();
+        }
+        
+        async function updateSource(id, patch) {
+            await api('/api/sources/' + id, {
+                method: 'PATCH',
+                body: JSON.stringify(patch)
+            });
+            refresh();
+        }
+        
+        async function deleteSource(id) {
+            if (!confirm('Delete this source and its history?')) return;
+            await api('/api/sources/' + id, { method: 'DELETE' });
+            refresh();
         }
         
         function renderChanges(changes) {
@@ -1043,17 +5734,161 @@ function getDashboardHTML() {
                 const priorityBadge = change.priority ? \`<span class="priority-badge priority-\${change.priority}">\${change.priority.toUpperCase()}</span>\` : '';
                 const criticalClass = change.priority === 'critical' ? 'critical' : '';
                 
+                const resolvedClass = change.status === 'actioned' || change.status === 'dismissed' ? 'resolved' : '';
+                
                 return \`
-                    <div class="change-item \${change.new ? 'new' : ''} \${criticalClass}">
+                    <div class="change-item \${change.new ? 'new' : ''} \${criticalClass} \${resolvedClass}">
                         \${change.new ? '<span class="change-new-badge">NEW</span>' : ''}
-                        <h3>🔴 \${change.category}: \${change.name} \${priorityBadge}</h3>
+                        <h3>🔴 \${escapeHtml(change.category)}: \${escapeHtml(change.name)} \${priorityBadge}\${(change.tags || []).map(tag => \`<span class="change-tag">\${tag === 'revert' ? '↩️' : '🎯'} \${escapeHtml(tag)}</span>\`).join('')}<span class="status-badge \${change.status}">\${change.status.replace('_', ' ')}</span></h3>
                         <p><strong>Detected:</strong> \${new Date(change.timestamp).toLocaleString()}</p>
-                        <p><strong>Link:</strong> <a href="\${change.url}" target="_blank">\${change.url}</a></p>
+                        <p><strong>Link:</strong> <a href="\${escapeHtml(change.url)}" target="_blank">\${escapeHtml(change.url)}</a></p>
+                        \${change.summary ? \`<p><strong>📝 \${escapeHtml(change.summary)}</strong></p>\` : ''}
+                        \${renderWatchlistMatches(change)}
+                        \${renderDiffSummary(change)}
+                        \${renderTriage(change)}
+                    </div>
+                \`;
+            }).join('');
+        }
+        
+        function renderSuppressed(entries) {
+            const t = translations[currentLang];
+            const container = document.getElementById('suppressedList');
+            if (!entries || entries.length === 0) {
+                container.innerHTML = \`<p style="color: #718096;">\${t.noSuppressed}</p>\`;
+                return;
+            }
+            container.innerHTML = entries.map(entry => \`
+                <div class="suppressed-item">
+                    <span class="suppressed-reason \${entry.reason}">\${t.suppressReasons[entry.reason] || escapeHtml(entry.reason)}</span>
+                    <strong>\${escapeHtml(entry.category)}: \${escapeHtml(entry.name)}</strong>
+                    \${entry.diffSummary ? \`<small>+\${entry.diffSummary.added} / −\${entry.diffSummary.removed} lines</small>\` : ''}
+                    <p>\${escapeHtml(entry.detail)} · \${getTimeAgo(entry.lastSeen)}\${entry.count > 1 ? ' · ×' + entry.count : ''}</p>
+                </div>
+            \`).join('');
+        }
+        
+        function renderDeadlines(deadlines) {
+            const t = translations[currentLang];
+            document.getElementById('deadlineList').innerHTML = deadlines.map(deadline => {
+                const daysClass = deadline.daysLeft < 0 ? 'past' : deadline.daysLeft <= 30 ? 'soon' : '';
+                const days = deadline.daysLeft < 0 ? t.passed : deadline.daysLeft === 0 ? t.today : deadline.daysLeft + ' ' + t.daysLeft;
+                return \`
+                    <div class="deadline">
+                        <span class="deadline-days \${daysClass}">\${days}</span>
+                        <span class="deadline-name">
+                            <strong>\${escapeHtml(deadline.name)}</strong>
+                            <small>\${new Date(deadline.date + 'T00:00:00').toLocaleDateString()} ·
+                                \${deadline.applicability.map(size => \`<span class="applicability">\${t.operators[size]}</span>\`).join('')}
+                                \${deadline.url ? \`· <a href="\${escapeHtml(deadline.url)}" target="_blank">\${escapeHtml(deadline.category)}</a>\` : ''}
+                            </small>
+                        </span>
                     </div>
                 \`;
             }).join('');
         }
         
+        function renderWatchlistMatches(change) {
+            if (!change.watchlistMatches || change.watchlistMatches.length === 0) return '';
+            return \`<div class="watchlist-matches">\${change.watchlistMatches.map(match => \`
+                <div class="watchlist-match"><strong>\${escapeHtml(match.term)}</strong> (\${match.side}): \${escapeHtml(match.snippet)}</div>
+            \`).join('')}</div>\`;
+        }
+        
+        function renderTriage(change) {
+            const transitions = ${JSON.stringify(CHANGE_TRANSITIONS)};
+            const options = [change.status, ...transitions[change.status]];
+            const notes = (change.notes || []).map(note => \`
+                <div class="change-note"><em>\${escapeHtml(note.author)} · \${new Date(note.timestamp).toLocaleString()}:</em> \${escapeHtml(note.text)}</div>
+            \`).join('');
+            
+            return \`
+                <div class="triage">
+                    <label>Status
+                        <select onchange="updateChange('\${change.id}', { status: this.value })">
+                            \${options.map(st => \`<option value="\${st}" \${st === change.status ? 'selected' : ''}>\${st.replace('_', ' ')}</option>\`).join('')}
+                        </select>
+                    </label>
+                    <label>Assignee
+                        <input value="\${escapeHtml(change.assignee || '')}" placeholder="Unassigned" onchange="updateChange('\${change.id}', { assignee: this.value })">
+                    </label>
+                    <input id="note-\${change.id}" placeholder="Add a note..." style="flex: 1; min-width: 180px;" onkeydown="if (event.key === 'Enter') addNote('\${change.id}')">
+                    <button class="btn-small" onclick="addNote('\${change.id}')">Add note</button>
+                </div>
+                \${notes ? \`<div class="change-notes">\${notes}</div>\` : ''}
+            \`;
+        }
+        
+        async function updateChange(id, patch) {
+            const res = await api('/api/changes/' + encodeURIComponent(id), { method: 'PATCH', body: JSON.stringify(patch) });
+            if (!res.ok) alert((await res.json()).error);
+            refresh();
+        }
+        
+        async function addNote(id) {
+            const input = document.getElementById('note-' + id);
+            if (!input.value.trim()) return;
+            await api('/api/changes/' + encodeURIComponent(id) + '/notes', { method: 'POST', body: JSON.stringify({ text: input.value }) });
+            input.value = '';
+            input.blur();
+            refresh();
+        }
+        
+        function renderDiffSummary(change) {
+            if (!change.diffSummary) return '';
+            const open = openDiffs[change.id] !== undefined;
+            return \`
+                <div class="diff-summary">
+                    <span class="diff-added-count">+\${change.diffSummary.added}</span>
+                    <span class="diff-removed-count">−\${change.diffSummary.removed}</span>
+                    <button class="btn-diff" onclick="toggleDiff('\${change.id}', this)">\${open ? 'Hide diff' : 'Show diff'}</button>
+                </div>
+                <div class="diff-view \${open ? 'show' : ''}" id="diff-\${change.id}">\${open ? openDiffs[change.id] : ''}</div>
+            \`;
+        }
+        
+        async function toggleDiff(id, btn) {
+            const view = document.getElementById('diff-' + id);
+            if (view.classList.contains('show')) {
+                view.classList.remove('show');
+                delete openDiffs[id];
+                btn.textContent = 'Show diff';
+                return;
+            }
+            
+            try {
+                const res = await fetch('/api/changes/' + encodeURIComponent(id) + '/diff');
+                const data = await res.json();
+                const diff = data.diff;
+                if (data.sections && data.sections.length > 0) {
+                    view.innerHTML = data.sections.map(section =>
+                        '<div class="diff-section">' + escapeHtml(section.label) + '</div>' +
+                        (section.before ? '<div class="diff-line removed">− ' + escapeHtml(section.before) + '</div>' : '') +
+                        (section.after ? '<div class="diff-line added">+ ' + escapeHtml(section.after) + '</div>' : '')
+                    ).join('');
+                } else if (!diff) {
+                    view.innerHTML = '<div class="diff-line note">No previous snapshot available for this change.</div>';
+                } else {
+                    view.innerHTML = diff.removed.map(line => '<div class="diff-line removed">− ' + escapeHtml(line) + '</div>').join('') +
+                        diff.added.map(line => '<div class="diff-line added">+ ' + escapeHtml(line) + '</div>').join('') +
+                        (diff.truncated ? '<div class="diff-line note">Diff truncated.</div>' : '');
+                }
+                openDiffs[id] = view.innerHTML;
+                view.classList.add('show');
+                btn.textContent = 'Hide diff';
+            } catch (error) {
+                console.error('Diff error:', error);
+            }
+        }
+        
+        function escapeHtml(text) {
+            return String(text)
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;');
+        }
+        
         function renderChart(history) {
             if (!history || history.length === 0) return;
             
@@ -1115,63 +5950,259 @@ function getDashboardHTML() {
             return then.toLocaleDateString();
         }
         
+        function getTimeUntil(timestamp) {
+            const diffMinutes = Math.ceil((new Date(timestamp) - new Date()) / 60000);
+            if (diffMinutes <= 0) return 'due';
+            if (diffMinutes < 60) return 'in ' + diffMinutes + 'm';
+            return 'in ' + Math.floor(diffMinutes / 60) + 'h ' + (diffMinutes % 60) + 'm';
+        }
+        
         async function checkNow() {
             const btn = document.getElementById('checkNowBtn');
             btn.disabled = true;
             btn.textContent = '⏳ Checking...';
             
-            await fetch('/api/check-now');
+            await api('/api/check-now', { method: 'POST' });
+            
+            // Without a live event stream, fall back to a delayed refresh
+            if (!liveEvents || liveEvents.readyState === EventSource.CLOSED) {
+                setTimeout(() => {
+                    refresh();
+                    resetCheckButton();
+                }, 30000);
+            }
+        }
+        
+        function resetCheckButton() {
+            const btn = document.getElementById('checkNowBtn');
+            btn.disabled = false;
+            btn.textContent = translations[currentLang].checkNowBtn;
+        }
+        
+        // Live updates pushed from /api/events
+        let liveEvents = null;
+        let checkProgress = { done: 0, total: 0 };
+        let refreshTimer = null;
+        
+        function scheduleRefresh() {
+            clearTimeout(refreshTimer);
+            refreshTimer = setTimeout(refresh, 500);
+        }
+        
+        function updateSourceRow(source) {
+            const row = document.getElementById('source-' + source.id);
+            if (row) row.outerHTML = renderSourceRow(source);
+        }
+        
+        function appendLiveLog(entry) {
+            const list = document.getElementById('liveLog');
+            const item = document.createElement('div');
+            item.className = 'live-log-item ' + entry.type;
+            item.textContent = new Date(entry.timestamp).toLocaleTimeString() + '  ' + entry.message;
+            list.prepend(item);
+            while (list.children.length > 12) list.lastChild.remove();
+        }
+        
+        let logOffset = 0;
+        
+        async function loadLogs(event, more) {
+            if (event) event.preventDefault();
+            if (!more) logOffset = 0;
+            const params = new URLSearchParams({ limit: 50, offset: logOffset });
+            [['level', 'logLevel'], ['source', 'logSource'], ['from', 'logFrom'], ['to', 'logTo'], ['q', 'logSearch']].forEach(([param, id]) => {
+                const value = document.getElementById(id).value;
+                if (value) params.set(param, value);
+            });
+            
+            const res = await api('/api/logs?' + params);
+            const data = await res.json();
+            const list = document.getElementById('activityLog');
+            const rows = data.logs.map(entry => \`
+                <div class="live-log-item \${entry.type}">\${new Date(entry.timestamp).toLocaleString()}  \${escapeHtml(entry.message)}\${entry.check ? \`<small>check \${escapeHtml(entry.check)}</small>\` : ''}</div>
+            \`).join('');
+            list.innerHTML = more ? list.innerHTML + rows : rows || '<p style="color: #718096;">No log entries match.</p>';
+            logOffset += data.logs.length;
+            document.getElementById('logMoreBtn').style.display = data.hasMore ? '' : 'none';
+        }
+        
+        function connectEvents() {
+            if (!window.EventSource) return;
+            liveEvents = new EventSource('/api/events');
             
-            setTimeout(() => {
-                refresh();
-                btn.disabled = false;
-                setLanguage(currentLang);
-                alert('Check completed! Dashboard refreshed.');
-            }, 3000);
+            liveEvents.addEventListener('ready', e => {
+                const data = JSON.parse(e.data);
+                document.getElementById('liveIndicator').classList.add('connected');
+                if (!data.running) resetCheckButton();
+            });
+            liveEvents.addEventListener('check-started', e => {
+                const data = JSON.parse(e.data);
+                checkProgress = { done: 0, total: data.sources.length };
+                const btn = document.getElementById('checkNowBtn');
+                btn.disabled = true;
+                btn.textContent = '⏳ Checking... 0/' + checkProgress.total;
+            });
+            liveEvents.addEventListener('source-checking', e => {
+                const row = document.getElementById('source-' + JSON.parse(e.data).id);
+                if (row) {
+                    row.querySelector('.status-dot').className = 'status-dot checking';
+                    row.querySelector('.status-indicator span:last-child').textContent = '⏳ Checking';
+                }
+            });
+            liveEvents.addEventListener('source-checked', e => {
+                updateSourceRow(JSON.parse(e.data));
+                checkProgress.done++;
+                const btn = document.getElementById('checkNowBtn');
+                if (btn.disabled) btn.textContent = '⏳ Checking... ' + checkProgress.done + '/' + checkProgress.total;
+            });
+            liveEvents.addEventListener('change-detected', () => {
+                const banner = document.getElementById('alertBanner');
+                const count = document.getElementById('alertCount');
+                count.textContent = (banner.classList.contains('show') ? parseInt(count.textContent, 10) || 0 : 0) + 1;
+                banner.classList.add('show');
+                scheduleRefresh();
+            });
+            liveEvents.addEventListener('log', e => appendLiveLog(JSON.parse(e.data)));
+            liveEvents.addEventListener('check-finished', () => {
+                resetCheckButton();
+                scheduleRefresh();
+            });
+            liveEvents.onerror = () => {
+                document.getElementById('liveIndicator').classList.remove('connected');
+            };
         }
         
         async function markAsRead() {
-            await fetch('/api/mark-read');
+            await api('/api/mark-read', { method: 'POST' });
             refresh();
         }
         
         function exportReport() {
-            alert('Report export feature coming soon!');
+            const to = document.getElementById('reportTo').value || new Date().toISOString().slice(0, 10);
+            const from = document.getElementById('reportFrom').value || new Date(Date.now() - 30 * 86400000).toISOString().slice(0, 10);
+            const format = document.getElementById('reportFormat').value;
+            window.open('/api/report?format=' + format + '&from=' + from + '&to=' + to, '_blank');
         }
         
         updateInterval = setInterval(refresh, 30000);
         refresh();
+        loadWatchlist();
+        if (${hasFullAccess(auth)}) loadLogs();
+        connectEvents();
     </script>
 </body>
 </html>`;
 }
 
-// Initialize
-loadState();
-addLog('info', '🚀 EUDR/FSC Monitor starting with enhanced features...');
-addLog('info', '📡 Monitoring 6 EUDR sources (including 2026 delay updates)');
-addLog('info', '🌲 Monitoring 4 FSC sources');
+// The CLI (cli.js) loads this module for one-shot checks and administration without the HTTP server
+module.exports = {
+    CONFIG,
+    CATEGORIES,
+    PRIORITIES,
+    CHANGE_STATUSES,
+    SCHEMA_VERSION,
+    getState: () => state,
+    server,
+    loadState,
+    acquireStateLock,
+    flushState,
+    readRecords,
+    writeFileAtomic,
+    getStatePath,
+    validateSource,
+    validateDeadline,
+    checkDeadlineReminders,
+    getSourceStatus,
+    getActiveSources,
+    runChecks,
+    checkSource,
+    checkAllSources,
+    sendQueuedNotifications,
+    routeNotifications,
+    getNextDelivery,
+    sendMail,
+    updateNextCheck,
+    summarizeChange,
+    fetchPage,
+    diffLines,
+    extractContent,
+    parseLegalText,
+    describeLegalChange,
+    extractDocuments,
+    extractNewsItems,
+    parseReportDate,
+    buildReport,
+    renderReportCSV,
+    renderReportHTML,
+    addLog
+};
 
-server.listen(CONFIG.PORT, () => {
-    addLog('success', `✅ Server running on port ${CONFIG.PORT}`);
-    if (CONFIG.WEBHOOK_URL) {
-        addLog('success', '✅ Discord webhook configured');
-    } else {
-        addLog('warning', '⚠️  Discord webhook not configured');
+function startServer() {
+    try {
+        loadState();
+    } catch (error) {
+        addLog('error', `Cannot start: ${error.message}`);
+        process.exit(1);
     }
-});
-
-setTimeout(() => {
-    addLog('info', 'Running initial check...');
-    checkAllSources().catch(err => addLog('error', err.message));
-}, 10000);
-
-setInterval(() => {
-    checkAllSources().catch(err => addLog('error', err.message));
-}, CONFIG.CHECK_INTERVAL);
+    readiness.stateLoaded = true;
+    addLog('info', '🚀 EUDR/FSC Monitor starting with enhanced features...');
+    for (const category of CATEGORIES) {
+        const count = getActiveSources().filter(s => s.category === category).length;
+        addLog('info', `${category === 'FSC' ? '🌲' : '📡'} Monitoring ${count} ${category} sources`);
+    }
+    
+    server.listen(CONFIG.PORT, () => {
+        addLog('success', `✅ Server running on port ${CONFIG.PORT}`);
+        if (AUTH_ENABLED) {
+            addLog('success', `✅ Authentication enabled (${apiTokens.length} API token(s)${CONFIG.DASHBOARD_PASSWORD ? ', dashboard login' : ''}${CONFIG.PUBLIC_READ ? ', public read-only' : ''})`);
+        } else {
+            addLog('warning', '⚠️  Authentication disabled - control endpoints only accept the dashboard; set DASHBOARD_PASSWORD or API_TOKENS to protect them');
+        }
+        const channels = getNotificationChannels();
+        if (channels.length > 0) {
+            channels.forEach(channel => addLog('success', `✅ ${channel.name} notifications configured (${channel.type})`));
+        } else {
+            addLog('warning', '⚠️  No notification channels configured');
+        }
+    });
+    
+    // Comment frames keep idle event streams open through proxies
+    setInterval(() => {
+        for (const client of sseClients) client.write(': ping\n\n');
+    }, 25000);
+    
+    // Sources without a stored schedule are due immediately, so the first tick doubles as the initial check
+    setTimeout(() => {
+        addLog('info', 'Running initial check...');
+        updateNextCheck();
+        schedulerTick()
+            .catch(err => addLog('error', err.message))
+            .then(() => { readiness.firstTick = true; });
+        setInterval(() => {
+            schedulerTick().catch(err => addLog('error', err.message));
+        }, CONFIG.SCHEDULE.TICK);
+    }, 10000);
+    
+    setInterval(() => {
+        pruneJournal();
+        pruneChanges();
+    }, 24 * 3600000);
+    
+    const deadlineTick = () => checkDeadlineReminders().catch(err => addLog('error', `Deadline reminders failed: ${err.message}`));
+    setTimeout(deadlineTick, 15000);
+    setInterval(deadlineTick, 3600000);
+    
+    const outboxTick = () => sendQueuedNotifications().catch(err => addLog('error', `Queued notifications failed: ${err.message}`));
+    outboxTick();
+    setInterval(outboxTick, 60000);
+    
+    process.on('SIGTERM', () => {
+        addLog('info', 'Shutting down...');
+        flushState();
+        for (const client of sseClients) client.end();
+        server.close(() => process.exit(0));
+    });
+}
 
-process.on('SIGTERM', () => {
-    addLog('info', 'Shutting down...');
-    saveState();
-    server.close(() => process.exit(0));
-});
+if (require.main === module) {
+    startServer();
+}
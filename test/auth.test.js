@@ -0,0 +1,58 @@
+'use strict';
+
+process.env.DASHBOARD_PASSWORD = 'correct horse';
+process.env.API_TOKENS = 'ci:token-123';
+process.env.PUBLIC_READ = 'true';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { startApp } = require('./helper');
+
+const form = (user, password) => ({
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({ user, password }).toString()
+});
+
+test('authentication, public read access and CSRF protection', async t => {
+    const { request, close } = await startApp();
+    t.after(close);
+    
+    await t.test('anonymous visitors can read the dashboard data but not logs, reports or metrics', async () => {
+        const status = await request('GET', '/api/status');
+        assert.strictEqual(status.status, 200);
+        assert.deepStrictEqual(JSON.parse(status.body).recentLogs, []);
+        for (const pathname of ['/api/logs', '/api/report', '/metrics']) {
+            assert.strictEqual((await request('GET', pathname)).status, 401, pathname);
+        }
+        assert.strictEqual((await request('POST', '/api/mark-read')).status, 401);
+    });
+    
+    await t.test('API tokens unlock everything without a CSRF token', async () => {
+        const headers = { Authorization: 'Bearer token-123' };
+        assert.strictEqual((await request('GET', '/api/logs', { headers })).status, 200);
+        assert.strictEqual((await request('GET', '/metrics', { headers: { 'X-API-Key': 'token-123' } })).status, 200);
+        assert.strictEqual((await request('POST', '/api/mark-read', { headers })).status, 200);
+        assert.strictEqual((await request('GET', '/api/logs', { headers: { Authorization: 'Bearer wrong' } })).status, 401);
+    });
+    
+    await t.test('a dashboard session must echo its CSRF token to change state', async () => {
+        const login = await request('POST', '/login', form('admin', 'correct horse'));
+        assert.strictEqual(login.headers.location, '/');
+        const cookie = login.headers['set-cookie'][0].split(';')[0];
+        const dashboard = await request('GET', '/', { headers: { Cookie: cookie } });
+        const csrfToken = /<meta name="csrf-token" content="([0-9a-f]+)">/.exec(dashboard.body)[1];
+        
+        assert.strictEqual((await request('POST', '/api/mark-read', { headers: { Cookie: cookie } })).status, 403);
+        assert.strictEqual((await request('POST', '/api/mark-read', { headers: { Cookie: cookie, 'X-CSRF-Token': csrfToken } })).status, 200);
+        
+        await request('POST', '/logout', { headers: { Cookie: cookie, 'X-CSRF-Token': csrfToken } });
+        assert.strictEqual((await request('GET', '/api/logs', { headers: { Cookie: cookie } })).status, 401);
+    });
+    
+    await t.test('repeated failed logins lock the address out', async () => {
+        for (let i = 0; i < 5; i++) {
+            assert.strictEqual((await request('POST', '/login', form('admin', 'wrong'))).headers.location, '/login?error=invalid');
+        }
+        assert.strictEqual((await request('POST', '/login', form('admin', 'correct horse'))).headers.location, '/login?error=locked');
+    });
+});
@@ -0,0 +1,78 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { monitor, startFixture, createSource } = require('./helper');
+
+const certificatePage = (code, status, expiry) => `<html><body><h1>${code}</h1>
+    <dl><dt>Certificate status</dt><dd>${status}</dd><dt>Product scope</dt><dd>Sawn wood</dd>
+    <dt>Expiry date</dt><dd>${expiry}</dd><dt>Organisation name</dt><dd>Nordic Timber A/S</dd></dl></body></html>`;
+
+test('the HTML certificate lookup raises a critical change when a supplier certificate is suspended', async () => {
+    const routes = { '/en/certificate/FSC-C000001': certificatePage('FSC-C000001', 'Valid', '31/12/2030') };
+    const { server, url } = await startFixture(routes);
+    const source = createSource({
+        name: 'Supplier certificates',
+        url: `${url}/en/certificate`,
+        type: 'fsc-certificates',
+        certificates: ['fsc-c000001', 'FSC-C999999'],
+        lookup: { adapter: 'html', url: `${url}/en/certificate/{code}` }
+    });
+    try {
+        assert.strictEqual((await monitor.checkSource(source)).changes.length, 0);
+        const { certificates } = monitor.getSourceStatus(source);
+        assert.deepStrictEqual([certificates['FSC-C000001'].status, certificates['FSC-C000001'].expiresAt], ['valid', '2030-12-31']);
+        assert.strictEqual(certificates['FSC-C999999'].status, 'not found');
+        
+        routes['/en/certificate/FSC-C000001'] = certificatePage('FSC-C000001', 'Suspended', '31/12/2030');
+        const [change] = (await monitor.checkSource(source)).changes;
+        assert.strictEqual(change.priority, 'critical');
+        assert.strictEqual(change.name, 'Supplier certificates: FSC-C000001 (Nordic Timber A/S)');
+        assert.deepStrictEqual(change.certificate.reasons, ['status']);
+        assert.deepStrictEqual(change.diff.added, ['FSC-C000001 status: suspended']);
+    } finally {
+        server.close();
+    }
+});
+
+test('the JSON certificate lookup warns once about an approaching expiry', async () => {
+    const expiresAt = new Date(Date.now() + 30 * 86400000).toISOString().slice(0, 10);
+    const routes = { '/api/FSC-C000002': [{ certificateCode: 'FSC-C000002', certificateStatus: 'Valid', productScope: 'Pulp', expiryDate: expiresAt }] };
+    const { server, url } = await startFixture(routes);
+    const source = createSource({
+        name: 'JSON certificates',
+        url: `${url}/api`,
+        type: 'fsc-certificates',
+        certificates: ['FSC-C000002'],
+        lookup: { adapter: 'json', url: `${url}/api/{code}` }
+    });
+    try {
+        const [warning] = (await monitor.checkSource(source)).changes;
+        assert.deepStrictEqual(warning.certificate.reasons, ['expiry']);
+        assert.strictEqual(warning.certificate.expiresAt, expiresAt);
+        assert.strictEqual((await monitor.checkSource(source)).changes.length, 0);
+    } finally {
+        server.close();
+    }
+});
+
+test('a certificate check fails as a whole only when every lookup fails', async () => {
+    const { server, url } = await startFixture({ '/api/FSC-C000003': 503 });
+    const attempts = monitor.CONFIG.FETCH.MAX_ATTEMPTS;
+    monitor.CONFIG.FETCH.MAX_ATTEMPTS = 1;
+    const source = createSource({
+        name: 'Unreachable certificates',
+        url: `${url}/api`,
+        type: 'fsc-certificates',
+        certificates: ['FSC-C000003'],
+        lookup: { adapter: 'json', url: `${url}/api/{code}` }
+    });
+    try {
+        const result = await monitor.checkSource(source);
+        assert.match(result.error.message, /^All certificate lookups failed/);
+        assert.strictEqual(monitor.getSourceStatus(source).status, 'error');
+    } finally {
+        monitor.CONFIG.FETCH.MAX_ATTEMPTS = attempts;
+        server.close();
+    }
+});
@@ -0,0 +1,17 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { monitor, startApp } = require('./helper');
+
+test('/api/changes clamps negative paging parameters', async t => {
+    const { request, close } = await startApp();
+    t.after(close);
+    const state = monitor.getState();
+    state.changes = ['c3', 'c2', 'c1'].map(id => ({ id, name: id, category: 'FSC', priority: 'high', status: 'new', timestamp: new Date().toISOString(), notes: [], statusHistory: [] }));
+    
+    const list = async query => JSON.parse((await request('GET', `/api/changes?${query}`)).body);
+    const clamped = await list('limit=-1&offset=-2');
+    assert.deepStrictEqual([clamped.limit, clamped.offset, clamped.changes.map(change => change.id)], [1, 0, ['c3']]);
+    assert.deepStrictEqual((await list('offset=-1')).changes.map(change => change.id), ['c3', 'c2', 'c1']);
+});
@@ -0,0 +1,18 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { startApp } = require('./helper');
+
+test('without authentication only the dashboard served by this process can change state', async t => {
+    const { request, close } = await startApp();
+    t.after(close);
+    
+    assert.strictEqual((await request('POST', '/api/mark-read')).status, 403);
+    assert.strictEqual((await request('POST', '/api/mark-read', { headers: { 'X-CSRF-Token': 'guessed' } })).status, 403);
+    
+    const dashboard = await request('GET', '/');
+    const csrfToken = /<meta name="csrf-token" content="([0-9a-f]+)">/.exec(dashboard.body)[1];
+    assert.strictEqual((await request('POST', '/api/mark-read', { headers: { 'X-CSRF-Token': csrfToken } })).status, 200);
+    assert.strictEqual((await request('GET', '/api/logs')).status, 200);
+});
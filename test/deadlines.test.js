@@ -0,0 +1,39 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { monitor, startFixture } = require('./helper');
+
+test('validateDeadline rejects dates that do not exist in the calendar', () => {
+    const input = { name: 'CSRD report', category: 'FSC' };
+    assert.strictEqual(monitor.validateDeadline({ ...input, date: '2028-02-29' }).deadline.date, '2028-02-29');
+    for (const date of ['2026-02-31', '2026-02-29', '2026-04-31', '2026-13-01', '2026-00-10']) {
+        assert.strictEqual(monitor.validateDeadline({ ...input, date }).error, 'date must be a YYYY-MM-DD date', date);
+    }
+});
+
+test('a deadline reminder whose delivery fails is sent again on the next run', async () => {
+    monitor.loadState();
+    const state = monitor.getState();
+    const received = [];
+    let status = 500;
+    const { server, url } = await startFixture({ '/hook': (req, res) => {
+        received.push(status);
+        res.writeHead(status).end();
+    } });
+    const date = new Date(Date.now() + 10 * 86400000).toISOString().slice(0, 10);
+    state.deadlines = [monitor.validateDeadline({ name: 'Annual audit', date, category: 'FSC' }).deadline];
+    monitor.CONFIG.WEBHOOK_URL = `${url}/hook`;
+    try {
+        await monitor.checkDeadlineReminders();
+        assert.deepStrictEqual(state.deadlines[0].remindersSent, []);
+        status = 200;
+        await monitor.checkDeadlineReminders();
+        await monitor.checkDeadlineReminders();
+        assert.deepStrictEqual(received, [500, 200]);
+        assert.ok(state.deadlines[0].remindersSent.includes(30));
+    } finally {
+        monitor.CONFIG.WEBHOOK_URL = '';
+        server.close();
+    }
+});
@@ -0,0 +1,43 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { monitor } = require('./helper');
+
+test('getNextDelivery finds the next digest slot and the end of quiet hours in the channel time zone', () => {
+    const channel = { timeZone: 'Europe/Copenhagen', digestHour: 8, digestWeekday: 1, quietHours: '22:00-07:00' };
+    // Wednesday 2026-10-14 10:20 in Copenhagen (UTC+2)
+    const from = new Date('2026-10-14T08:20:30Z');
+    assert.strictEqual(monitor.getNextDelivery('hourly', channel, from), '2026-10-14T09:00:00.000Z');
+    assert.strictEqual(monitor.getNextDelivery('daily', channel, from), '2026-10-15T06:00:00.000Z');
+    assert.strictEqual(monitor.getNextDelivery('weekly', channel, from), '2026-10-19T06:00:00.000Z');
+    assert.strictEqual(monitor.getNextDelivery('quiet', channel, new Date('2026-10-14T21:00:00Z')), '2026-10-15T05:00:00.000Z');
+});
+
+test('getNextDelivery moves a digest due right now to the next period', () => {
+    const channel = { timeZone: 'UTC', digestHour: 8, digestWeekday: 1 };
+    assert.strictEqual(monitor.getNextDelivery('daily', channel, new Date('2026-10-19T08:00:00Z')), '2026-10-20T08:00:00.000Z');
+    assert.strictEqual(monitor.getNextDelivery('weekly', channel, new Date('2026-10-19T08:00:00Z')), '2026-10-26T08:00:00.000Z');
+});
+
+test('sendQueuedNotifications reports how many notifications it dropped for a removed channel', async () => {
+    monitor.loadState();
+    const state = monitor.getState();
+    state.outbox.push({ channel: 'removed', reason: 'daily', dueAt: new Date(0).toISOString(), subscriptions: [], items: [{ id: 'a' }, { id: 'b' }] });
+    await monitor.sendQueuedNotifications();
+    assert.strictEqual(state.outbox.length, 0);
+    assert.strictEqual(state.logs[0].message, 'Dropped 2 queued notification(s) for unknown channel removed');
+});
+
+test('an invalid channel configuration is logged once, not on every outbox run', async () => {
+    monitor.loadState();
+    const state = monitor.getState();
+    monitor.CONFIG.NOTIFY_CHANNELS = '[{"type": "carrier-pigeon"}]';
+    try {
+        await monitor.sendQueuedNotifications();
+        await monitor.sendQueuedNotifications();
+        assert.strictEqual(state.logs.filter(entry => entry.message.includes('carrier-pigeon')).length, 1);
+    } finally {
+        monitor.CONFIG.NOTIFY_CHANNELS = '';
+    }
+});
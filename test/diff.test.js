@@ -0,0 +1,27 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { monitor } = require('./helper');
+
+test('diffLines reports added and removed lines around an unchanged head and tail', () => {
+    const diff = monitor.diffLines('Title\nArticle 1\nArticle 2\nFooter', 'Title\nArticle 1\nArticle 2a\nArticle 3\nFooter');
+    assert.deepStrictEqual(diff.added, ['Article 2a', 'Article 3']);
+    assert.deepStrictEqual(diff.removed, ['Article 2']);
+    assert.strictEqual(diff.addedCount, 2);
+    assert.strictEqual(diff.removedCount, 1);
+    assert.strictEqual(diff.truncated, false);
+});
+
+test('diffLines treats a missing side as empty', () => {
+    assert.deepStrictEqual(monitor.diffLines('', 'New page').added, ['New page']);
+    assert.deepStrictEqual(monitor.diffLines('Old page', null).removed, ['Old page']);
+});
+
+test('diffLines keeps the full counts when the listed lines are truncated', () => {
+    const lines = Array.from({ length: monitor.CONFIG.MAX_DIFF_LINES + 5 }, (value, index) => `Line ${index}`);
+    const diff = monitor.diffLines('Header', ['Header', ...lines].join('\n'));
+    assert.strictEqual(diff.added.length, monitor.CONFIG.MAX_DIFF_LINES);
+    assert.strictEqual(diff.addedCount, lines.length);
+    assert.strictEqual(diff.truncated, true);
+});
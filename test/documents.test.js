@@ -0,0 +1,70 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { monitor, startFixture, createSource } = require('./helper');
+
+const row = (href, title, meta = '') => `<tr><td><a href="${href}">${title}</a></td><td>${meta}</td></tr>`;
+
+test('extractDocuments keys standards by their code and picks up version and date next to the link', () => {
+    const html = `<nav><a href="/about">About</a></nav><table>
+        ${row('/documents/resource/208', 'FSC-STD-40-004 Chain of Custody Certification', 'Version 3-1 · 12 May 2021')}
+        ${row('/files/guide.pdf?lang=en', 'Guide for smallholders', '01/02/2024')}
+        ${row('/files/guide.pdf?lang=en', 'Guide for smallholders (duplicate link)')}
+        ${row('/about/contact', 'Contact us')}
+    </table>`;
+    const documents = monitor.extractDocuments({}, html, 'https://connect.fsc.org/document-centre');
+    assert.deepStrictEqual(Object.keys(documents), ['FSC-STD-40-004', 'https://connect.fsc.org/files/guide.pdf']);
+    assert.deepStrictEqual(documents['FSC-STD-40-004'], {
+        title: 'FSC-STD-40-004 Chain of Custody Certification',
+        url: 'https://connect.fsc.org/documents/resource/208',
+        code: 'FSC-STD-40-004',
+        version: 'V3-1',
+        date: '2021-05-12'
+    });
+    assert.strictEqual(documents['https://connect.fsc.org/files/guide.pdf'].date, '2024-02-01');
+});
+
+test('extractDocuments only follows links matching the source pattern', () => {
+    const html = `${row('/downloads/report.docx', 'Annual report')}${row('/files/guide.pdf', 'Guide')}`;
+    const documents = monitor.extractDocuments({ documents: { pattern: '\\.docx$' } }, html, 'https://example.org/');
+    assert.deepStrictEqual(Object.values(documents).map(doc => doc.title), ['Annual report']);
+});
+
+test('a document listing reports new versions, replaced files and removed documents', async () => {
+    const listing = rows => `<table>${rows.join('')}</table>`;
+    const routes = {
+        '/files/std-v1.pdf': 'standard v1',
+        '/files/std-v2.pdf': 'standard v2',
+        '/files/guide.pdf': 'guide',
+        '/files/policy.pdf': 'policy'
+    };
+    routes['/listing'] = listing([
+        row('/files/std-v1.pdf', 'FSC-STD-40-004 Chain of Custody', 'V1-0'),
+        row('/files/guide.pdf', 'Guide'),
+        row('/files/policy.pdf', 'Policy')
+    ]);
+    const { server, url } = await startFixture(routes);
+    const source = createSource({ name: 'Document Centre', url: `${url}/listing`, type: 'documents' });
+    const check = async () => (await monitor.checkSource(source)).changes.map(change => `${change.document.kind} ${change.summary}`);
+    try {
+        assert.deepStrictEqual(await check(), []);
+        // The second check hashes the files so later replacements can be told apart
+        assert.deepStrictEqual(await check(), []);
+        
+        routes['/listing'] = listing([row('/files/std-v2.pdf', 'FSC-STD-40-004 Chain of Custody', 'V2-0'), row('/files/guide.pdf', 'Guide')]);
+        routes['/files/guide.pdf'] = 'guide, second edition';
+        assert.deepStrictEqual((await check()).sort(), [
+            'removed document removed: Policy',
+            'replaced document replaced: Guide (same listing entry, new file)',
+            'version new version: FSC-STD-40-004 V1-0 → FSC-STD-40-004 V2-0'
+        ]);
+        
+        routes['/listing'] = '<p>Maintenance</p>';
+        const result = await monitor.checkSource(source);
+        assert.match(result.error.message, /^No documents found on the listing/);
+        assert.strictEqual(Object.keys(monitor.getState().history[source.url].documents).length, 2);
+    } finally {
+        server.close();
+    }
+});
@@ -0,0 +1,36 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { monitor, startFixture, createSource } = require('./helper');
+
+test('extractContent hashes only the selected element and drops ignored lines', () => {
+    const html = '<html><nav>Menu</nav><main id="content"><h1>EUDR</h1><p>Last updated 12/10/2026</p><p>Article 9</p></main></html>';
+    const page = monitor.extractContent({ extract: { selector: 'main#content', ignore: ['^Last updated .*$'] } }, html);
+    assert.strictEqual(page.matched, true);
+    assert.strictEqual(page.text, 'EUDR\nArticle 9');
+    assert.strictEqual(page.hash, monitor.extractContent({ extract: { selector: 'main' } }, '<main><h1>EUDR</h1><p>Article 9</p></main>').hash);
+});
+
+test('extractContent falls back to the whole page when the rule does not match', () => {
+    const page = monitor.extractContent({ extract: { selector: '#missing' } }, '<p>Consent required</p>');
+    assert.strictEqual(page.matched, false);
+    assert.strictEqual(page.text, 'Consent required');
+});
+
+test('a page that no longer matches its extraction rule fails the check and keeps the baseline', async () => {
+    const routes = { '/page': '<nav>Menu</nav><main><p>Article 9</p></main>' };
+    const { server, url } = await startFixture(routes);
+    const source = createSource({ name: 'Extracted page', url: `${url}/page`, extract: { selector: 'main' } });
+    try {
+        await monitor.checkSource(source);
+        const baseline = monitor.getState().history[source.url].hash;
+        routes['/page'] = '<div class="consent">Accept cookies</div>';
+        const result = await monitor.checkSource(source);
+        assert.match(result.error.message, /^Extraction rule did not match/);
+        assert.strictEqual(result.changes.length, 0);
+        assert.strictEqual(monitor.getState().history[source.url].hash, baseline);
+    } finally {
+        server.close();
+    }
+});
@@ -0,0 +1,88 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+const { monitor, startFixture } = require('./helper');
+
+monitor.CONFIG.FETCH.RETRY_BASE_DELAY = 1;
+
+test('fetchPage follows relative redirects and reports where it ended up', async () => {
+    const { server, url } = await startFixture({
+        '/old': (req, res) => res.writeHead(301, { Location: '/moved' }).end(),
+        '/moved': (req, res) => res.writeHead(302, { Location: `${url}/new` }).end(),
+        '/new': '<p>Current page</p>'
+    });
+    try {
+        const page = await monitor.fetchPage(`${url}/old`);
+        assert.strictEqual(page.finalUrl, `${url}/new`);
+        assert.strictEqual(page.redirects, 2);
+        assert.strictEqual(page.body, '<p>Current page</p>');
+    } finally {
+        server.close();
+    }
+});
+
+test('fetchPage gives up on redirect loops without retrying', async () => {
+    const { server, url } = await startFixture({
+        '/a': (req, res) => res.writeHead(302, { Location: '/b' }).end(),
+        '/b': (req, res) => res.writeHead(302, { Location: '/a' }).end()
+    });
+    try {
+        await assert.rejects(monitor.fetchPage(`${url}/a`), error => /^Redirect loop/.test(error.message) && error.attempts === 1);
+    } finally {
+        server.close();
+    }
+});
+
+test('fetchPage decodes gzip, deflate and brotli responses', async () => {
+    const body = '<p>Règlement (UE) 2023/1115</p>';
+    const compressed = { gzip: zlib.gzipSync(body), deflate: zlib.deflateSync(body), br: zlib.brotliCompressSync(body) };
+    const routes = {};
+    for (const [encoding, buffer] of Object.entries(compressed)) {
+        routes[`/${encoding}`] = (req, res) => res.writeHead(200, { 'Content-Encoding': encoding }).end(buffer);
+    }
+    const { server, url } = await startFixture(routes);
+    try {
+        for (const encoding of Object.keys(compressed)) {
+            const page = await monitor.fetchPage(`${url}/${encoding}`);
+            assert.strictEqual(page.body, body, encoding);
+            assert.strictEqual(page.encoding, encoding);
+        }
+    } finally {
+        server.close();
+    }
+});
+
+test('fetchPage sends the stored validators and reports a 304 as not modified', async () => {
+    const { server, url } = await startFixture({
+        '/page': (req, res) => {
+            if (req.headers['if-none-match'] === '"v1"') return res.writeHead(304).end();
+            res.writeHead(200, { ETag: '"v1"', 'Last-Modified': 'Mon, 12 Oct 2026 08:00:00 GMT' }).end('<p>Page</p>');
+        }
+    });
+    try {
+        const first = await monitor.fetchPage(`${url}/page`);
+        assert.deepStrictEqual([first.etag, first.lastModified], ['"v1"', 'Mon, 12 Oct 2026 08:00:00 GMT']);
+        const second = await monitor.fetchPage(`${url}/page`, { etag: first.etag, lastModified: first.lastModified });
+        assert.strictEqual(second.notModified, true);
+        assert.strictEqual(second.body, null);
+    } finally {
+        server.close();
+    }
+});
+
+test('fetchPage retries server errors but not client errors', async () => {
+    let requests = 0;
+    const { server, url } = await startFixture({
+        '/flaky': (req, res) => (++requests === 1 ? res.writeHead(503).end() : res.writeHead(200).end('<p>Back</p>')),
+        '/missing': 404
+    });
+    try {
+        const page = await monitor.fetchPage(`${url}/flaky`);
+        assert.deepStrictEqual([page.body, page.attempts], ['<p>Back</p>', 2]);
+        await assert.rejects(monitor.fetchPage(`${url}/missing`), error => error.statusCode === 404 && error.attempts === 1);
+    } finally {
+        server.close();
+    }
+});
@@ -0,0 +1,102 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { monitor, startFixture, createSource } = require('./helper');
+
+test('page changes alert once, report a revert at low priority and are held while the page flaps', async () => {
+    const routes = {};
+    const { server, url } = await startFixture(routes);
+    const source = createSource({ name: 'Flapping page', url: `${url}/page` });
+    const check = async version => {
+        routes['/page'] = `<main><p>Version ${version}</p></main>`;
+        return (await monitor.checkSource(source)).changes;
+    };
+    try {
+        assert.strictEqual((await check('A')).length, 0);
+        const [change] = await check('B');
+        assert.deepStrictEqual(change.diff.added, ['Version B']);
+        const [revert] = await check('A');
+        assert.strictEqual(revert.priority, 'low');
+        assert.deepStrictEqual(revert.tags, ['revert']);
+        assert.strictEqual((await check('B')).length, 0);
+        assert.strictEqual(monitor.getSourceStatus(source).flapping, true);
+        assert.strictEqual(monitor.getState().suppressed[0].reason, 'flapping');
+    } finally {
+        server.close();
+    }
+});
+
+test('a change must persist for the configured number of checks before it alerts', async () => {
+    const routes = {};
+    const { server, url } = await startFixture(routes);
+    const source = createSource({ name: 'Confirmed page', url: `${url}/page`, confirmations: 2 });
+    const check = async version => {
+        routes['/page'] = `<main><p>Version ${version}</p></main>`;
+        return (await monitor.checkSource(source)).changes;
+    };
+    try {
+        await check('A');
+        assert.strictEqual((await check('B')).length, 0);
+        assert.deepStrictEqual(monitor.getSourceStatus(source).pending.map(pending => [pending.count, pending.required]), [[1, 2]]);
+        assert.strictEqual((await check('A')).length, 0);
+        assert.match(monitor.getState().suppressed[0].detail, /^Reverted after 1 of 2/);
+        await check('C');
+        const [change] = await check('C');
+        assert.deepStrictEqual([change.diff.added, change.diff.removed], [['Version C'], ['Version A']]);
+    } finally {
+        server.close();
+    }
+});
+
+test('changes within the cooldown after an alert are held and listed as suppressed', async () => {
+    const routes = {};
+    const { server, url } = await startFixture(routes);
+    const source = createSource({ name: 'Cooled page', url: `${url}/page`, cooldownMinutes: 60 });
+    const check = async version => {
+        routes['/page'] = `<main><p>Version ${version}</p></main>`;
+        return (await monitor.checkSource(source)).changes;
+    };
+    try {
+        await check('A');
+        assert.strictEqual((await check('B')).length, 1);
+        assert.strictEqual((await check('C')).length, 0);
+        const status = monitor.getSourceStatus(source);
+        assert.ok(Date.parse(status.cooldownUntil) > Date.now());
+        assert.deepStrictEqual(status.pending.map(pending => pending.held), ['cooldown']);
+        assert.strictEqual(monitor.getState().suppressed[0].reason, 'cooldown');
+    } finally {
+        server.close();
+    }
+});
+
+test('news articles that keep disappearing and returning are gated like pages', async () => {
+    const routes = {};
+    const { server, url } = await startFixture(routes);
+    const source = createSource({ name: 'News', url: `${url}/news`, type: 'news' });
+    const check = async articles => {
+        routes['/news'] = articles.split('').map(id => `<h3><a href="/articles/${id}">Article ${id}</a></h3><p>Teaser ${id}</p>`).join('');
+        return (await monitor.checkSource(source)).changes.map(change => `${change.news.kind} ${change.news.headline} ${change.priority}`);
+    };
+    try {
+        assert.deepStrictEqual(await check('abc'), []);
+        assert.deepStrictEqual(await check('xabc'), ['new Article x high']);
+        assert.deepStrictEqual(await check('xbc'), ['removed Article a high']);
+        assert.deepStrictEqual(await check('xabc'), ['restored Article a low']);
+        assert.deepStrictEqual(await check('xbc'), []);
+        assert.strictEqual(monitor.getSourceStatus(source).flapping, true);
+    } finally {
+        server.close();
+    }
+});
+
+test('cooldowns must be a bounded number of minutes, and an oversized stored one cannot break the status', () => {
+    for (const cooldownMinutes of [1e308, Infinity, -1, '60']) {
+        assert.match(monitor.validateSource({ name: 'Page', url: 'https://example.org/', category: 'FSC', cooldownMinutes }).error, /^cooldownMinutes must be/);
+    }
+    const source = createSource({ name: 'Stored page', url: 'https://example.org/stored' });
+    source.cooldownMinutes = 1e308;
+    monitor.getState().history[source.url] = { gate: { subjects: {}, flapping: false, lastAlertAt: new Date().toISOString() } };
+    const { cooldownUntil } = monitor.getSourceStatus(source);
+    assert.ok(Date.parse(cooldownUntil) <= Date.now() + monitor.CONFIG.CHANGES.MAX_COOLDOWN_MINUTES * 60000);
+});
@@ -0,0 +1,63 @@
+'use strict';
+
+// Shared setup for the test files: every file runs in its own process with its own data directory, so
+// environment settings a file needs (auth, storage) go into process.env before it requires this helper
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'eudr-monitor-test-'));
+process.env.LOG_CONSOLE = 'off';
+const monitor = require('../server');
+
+monitor.CONFIG.SCHEDULE.HOST_DELAY = 0;
+test.after(() => {
+    monitor.flushState();
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+// Serves whatever `routes[pathname]` holds at request time: HTML, JSON, a bare status code or a (req, res)
+// handler; unknown paths are 404
+function startFixture(routes) {
+    const server = http.createServer((req, res) => {
+        const route = routes[new URL(req.url, 'http://fixture').pathname];
+        if (typeof route === 'function') return route(req, res);
+        if (route === undefined || typeof route === 'number') {
+            res.writeHead(route || 404);
+            return res.end();
+        }
+        res.writeHead(200, { 'Content-Type': typeof route === 'string' ? 'text/html' : 'application/json' });
+        res.end(typeof route === 'string' ? route : JSON.stringify(route));
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, url: `http://127.0.0.1:${server.address().port}` })));
+}
+
+function createSource(fields) {
+    const { source, error } = monitor.validateSource({ category: 'FSC', priority: 'high', ...fields });
+    assert.strictEqual(error, undefined);
+    return source;
+}
+
+// Loads state and serves the monitor itself on a free port; `request` resolves with { status, headers, body }
+function startApp() {
+    monitor.loadState();
+    return new Promise(resolve => monitor.server.listen(0, '127.0.0.1', () => {
+        const { port } = monitor.server.address();
+        const request = (method, pathname, { headers = {}, body } = {}) => new Promise((done, fail) => {
+            const req = http.request({ host: '127.0.0.1', port, method, path: pathname, headers }, res => {
+                let data = '';
+                res.setEncoding('utf8');
+                res.on('data', chunk => { data += chunk; });
+                res.on('end', () => done({ status: res.statusCode, headers: res.headers, body: data }));
+            });
+            req.on('error', fail);
+            req.end(body);
+        });
+        resolve({ request, close: () => monitor.server.close() });
+    }));
+}
+
+module.exports = { monitor, startFixture, createSource, startApp };
@@ -0,0 +1,62 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { monitor, startFixture, createSource } = require('./helper');
+
+const regulation = ({ article9 = 'operators shall collect information', annexRows = ['4401 Fuel wood', '4403 Wood in the rough'] } = {}) => [
+    'REGULATION (EU) 2023/1115 OF THE EUROPEAN PARLIAMENT AND OF THE COUNCIL',
+    '(1) Forests provide a broad variety of benefits.',
+    '(2) Deforestation is progressing at an alarming rate.',
+    'HAVE ADOPTED THIS REGULATION:',
+    'Article 2',
+    'Definitions',
+    '(1) ‘cattle’ means animals;',
+    '(h) ‘plantation forest’ means planted forest;',
+    '(i) ‘forest’ means land spanning more than 0,5 hectares;',
+    'Article 9',
+    '1. Due diligence statements',
+    `(a) ${article9}`,
+    '(i) the description of the product',
+    '(ii) the quantity of the product',
+    '2. Operators shall keep the information for five years.',
+    'ANNEX I',
+    ...annexRows
+].join('\n');
+
+test('parseLegalText keys the text the way lawyers cite it', () => {
+    const sections = monitor.parseLegalText(regulation());
+    assert.deepStrictEqual(Object.keys(sections), [
+        'Title', 'Recital 1', 'Recital 2', 'Enacting terms',
+        'Article 2', 'Article 2(h)', 'Article 2(i)',
+        'Article 9', 'Article 9(1)', 'Article 9(1)(a)', 'Article 9(1)(a)(i)', 'Article 9(1)(a)(ii)', 'Article 9(2)',
+        'Annex I'
+    ]);
+    assert.strictEqual(sections['Article 9(1)(a)(ii)'], '(ii) the quantity of the product');
+});
+
+test('describeLegalChange names amended sections and reports annex tables row by row', () => {
+    const described = monitor.describeLegalChange(regulation(), regulation({
+        article9: 'operators shall collect and keep information',
+        annexRows: ['4401 Fuel wood', '4403 Wood in the rough, treated']
+    }));
+    assert.deepStrictEqual(described.sections.map(section => section.label), ['Article 9(1)(a) amended', 'Annex I new row', 'Annex I row removed']);
+    assert.strictEqual(described.sections[1].after, '4403 Wood in the rough, treated');
+    assert.strictEqual(described.summary, 'Article 9(1)(a) amended, Annex I new row, Annex I row removed');
+    assert.strictEqual(monitor.describeLegalChange(regulation(), regulation()).summary, 'Formatting only');
+});
+
+test('an EUR-Lex source describes its change section by section', async () => {
+    const routes = { '/eudr': `<div id="document1">${regulation().split('\n').map(line => `<p>${line}</p>`).join('')}</div>` };
+    const { server, url } = await startFixture(routes);
+    const source = createSource({ name: 'EUDR', url: `${url}/eudr`, category: 'EUDR', type: 'eurlex' });
+    try {
+        await monitor.checkSource(source);
+        routes['/eudr'] = routes['/eudr'].replace('<p>Article 9</p>', '<p>Article 9</p><p>Due diligence</p>');
+        const [change] = (await monitor.checkSource(source)).changes;
+        assert.strictEqual(change.summary, 'Article 9 amended');
+        assert.deepStrictEqual(change.sections.map(section => section.key), ['Article 9']);
+    } finally {
+        server.close();
+    }
+});
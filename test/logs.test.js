@@ -0,0 +1,20 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { monitor, startApp } = require('./helper');
+
+test('/api/logs pages through the rotated log files newest first', async t => {
+    const { request, close } = await startApp();
+    t.after(close);
+    monitor.CONFIG.LOGS.MAX_BYTES = 2000;
+    for (let index = 1; index <= 60; index++) monitor.addLog('info', `Entry ${index} – ünïcode`);
+    
+    const page = async query => JSON.parse((await request('GET', `/api/logs?q=entry&${query}`)).body);
+    const first = await page('limit=5');
+    assert.deepStrictEqual(first.logs.map(entry => entry.message), [60, 59, 58, 57, 56].map(index => `Entry ${index} – ünïcode`));
+    assert.strictEqual(first.hasMore, true);
+    const last = await page('limit=10&offset=55');
+    assert.deepStrictEqual(last.logs.map(entry => entry.message.split(' ')[1]), ['5', '4', '3', '2', '1']);
+    assert.strictEqual(last.hasMore, false);
+});
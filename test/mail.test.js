@@ -0,0 +1,111 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const { monitor } = require('./helper');
+
+// In-process SMTP server: answers each command with `replies[line]` or `replies[verb]`, otherwise with success,
+// and records the session
+
+function startSmtpServer(replies = {}) {
+    const sessions = [];
+    const server = net.createServer(socket => {
+        const session = { commands: [], data: '' };
+        sessions.push(session);
+        let buffer = '';
+        let inData = false;
+        socket.write('220 test ESMTP\r\n');
+        socket.on('data', chunk => {
+            buffer += chunk;
+            if (inData) {
+                const end = buffer.indexOf('\r\n.\r\n');
+                if (end < 0) return;
+                session.data = buffer.slice(0, end);
+                buffer = buffer.slice(end + 5);
+                inData = false;
+                socket.write('250 queued\r\n');
+            }
+            let index;
+            while (!inData && (index = buffer.indexOf('\r\n')) >= 0) {
+                const line = buffer.slice(0, index);
+                buffer = buffer.slice(index + 2);
+                session.commands.push(line);
+                const verb = line.split(' ')[0].toUpperCase();
+                if (replies[line] || replies[verb]) {
+                    socket.write(replies[line] || replies[verb]);
+                } else if (verb === 'EHLO') {
+                    socket.write('250-test\r\n250-AUTH PLAIN LOGIN\r\n250 OK\r\n');
+                } else if (verb === 'AUTH') {
+                    socket.write('235 authenticated\r\n');
+                } else if (verb === 'DATA') {
+                    inData = true;
+                    socket.write('354 go ahead\r\n');
+                } else if (verb === 'QUIT') {
+                    socket.end('221 bye\r\n');
+                } else {
+                    socket.write('250 OK\r\n');
+                }
+            }
+        });
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, sessions, port: server.address().port })));
+}
+
+const message = { to: ['ops@example.com', 'legal@example.com'], subject: 'EUDR ✓', text: 'Article 9 changed', html: '<p>Article 9 changed</p>' };
+
+function getTextPart(data) {
+    const match = /Content-Type: text\/plain; charset=UTF-8\r\nContent-Transfer-Encoding: base64\r\n\r\n([\s\S]*?)\r\n--/.exec(data);
+    return Buffer.from(match[1].replace(/\r\n/g, ''), 'base64').toString('utf8');
+}
+
+test('sendMail delivers one message to every recipient with AUTH PLAIN', async () => {
+    const { server, sessions, port } = await startSmtpServer();
+    try {
+        await monitor.sendMail({ host: '127.0.0.1', port, user: 'monitor', pass: 'secret', from: 'monitor@example.com' }, message);
+        const [session] = sessions;
+        assert.strictEqual(session.commands.find(line => line.startsWith('AUTH')), `AUTH PLAIN ${Buffer.from('\0monitor\0secret').toString('base64')}`);
+        assert.ok(session.commands.includes('MAIL FROM:<monitor@example.com>'));
+        assert.deepStrictEqual(session.commands.filter(line => line.startsWith('RCPT')), ['RCPT TO:<ops@example.com>', 'RCPT TO:<legal@example.com>']);
+        assert.match(session.data, /^Subject: =\?UTF-8\?B\?/m);
+        assert.strictEqual(getTextPart(session.data), 'Article 9 changed');
+        assert.strictEqual(session.commands[session.commands.length - 1], 'QUIT');
+    } finally {
+        server.close();
+    }
+});
+
+test('sendMail falls back to AUTH LOGIN when PLAIN is not offered', async () => {
+    const { server, sessions, port } = await startSmtpServer({
+        EHLO: '250-test\r\n250 AUTH LOGIN\r\n',
+        AUTH: '334 VXNlcm5hbWU6\r\n',
+        'bW9uaXRvcg==': '334 UGFzc3dvcmQ6\r\n',
+        'c2VjcmV0': '235 authenticated\r\n'
+    });
+    try {
+        await monitor.sendMail({ host: '127.0.0.1', port, user: 'monitor', pass: 'secret', from: 'monitor@example.com' }, message);
+        const commands = sessions[0].commands;
+        assert.deepStrictEqual(commands.slice(commands.indexOf('AUTH LOGIN'), commands.indexOf('AUTH LOGIN') + 3), ['AUTH LOGIN', 'bW9uaXRvcg==', 'c2VjcmV0']);
+    } finally {
+        server.close();
+    }
+});
+
+test('sendMail rejects with the server reply when a recipient is refused', async () => {
+    const { server, port } = await startSmtpServer({ RCPT: '550 5.1.1 mailbox unavailable\r\n' });
+    try {
+        await assert.rejects(monitor.sendMail({ host: '127.0.0.1', port, from: 'monitor@example.com' }, message), /SMTP 550 5\.1\.1 mailbox unavailable/);
+    } finally {
+        server.close();
+    }
+});
+
+test('sendMail refuses to send in clear text when requireTLS is set and STARTTLS is missing', async () => {
+    const { server, sessions, port } = await startSmtpServer();
+    try {
+        await assert.rejects(monitor.sendMail({ host: '127.0.0.1', port, requireTLS: true, from: 'monitor@example.com' }, message), /does not support STARTTLS/);
+        assert.ok(!sessions[0].commands.some(line => line.startsWith('MAIL')));
+    } finally {
+        server.close();
+    }
+});
@@ -0,0 +1,22 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { monitor, createSource, startApp } = require('./helper');
+
+test('sources sharing a name still get one series each', async t => {
+    const { request, close } = await startApp();
+    t.after(close);
+    const state = monitor.getState();
+    state.sources = [
+        createSource({ name: 'Guidance', url: 'https://example.org/a' }),
+        createSource({ name: 'Guidance', url: 'https://example.org/b' })
+    ];
+    
+    const { status, body } = await request('GET', '/metrics');
+    assert.strictEqual(status, 200);
+    const series = body.split('\n').filter(line => line.startsWith('eudr_source_enabled{'));
+    assert.strictEqual(series.length, 2);
+    assert.strictEqual(new Set(series.map(line => line.split(' ')[0])).size, 2);
+    state.sources.forEach(source => assert.ok(body.includes(`id="${source.id}"`)));
+});
@@ -0,0 +1,54 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { monitor, startFixture, createSource } = require('./helper');
+
+test('extractNewsItems reads linked headlines with their date and teaser', () => {
+    const html = `<main>
+        <article><h3><a href="/en/newscentre/general-news/new-standard#top">New chain of custody standard</a></h3>
+            <time datetime="2026-10-01T09:00:00Z">1 October</time><p>The revised standard takes effect in 2027.</p></article>
+        <a class="card" href="/en/newscentre/general-news/eudr-guidance">
+            <span>12 Sep 2026</span><h3>EUDR guidance for smallholders</h3><p>How to collect geolocation data.</p></a>
+        <h3><a href="/en/newscentre/general-news/new-standard">Duplicate link</a></h3>
+        <h2>Headline without a link</h2>
+    </main>`;
+    assert.deepStrictEqual(monitor.extractNewsItems({}, html, 'https://fsc.org/en/newscentre'), [
+        {
+            url: 'https://fsc.org/en/newscentre/general-news/new-standard',
+            headline: 'New chain of custody standard',
+            date: '2026-10-01',
+            teaser: 'The revised standard takes effect in 2027.'
+        },
+        {
+            url: 'https://fsc.org/en/newscentre/general-news/eudr-guidance',
+            headline: 'EUDR guidance for smallholders',
+            date: '2026-09-12',
+            teaser: 'How to collect geolocation data.'
+        }
+    ]);
+});
+
+test('a news listing reports new and edited articles but not ones that scrolled off the end', async () => {
+    const routes = {};
+    const { server, url } = await startFixture(routes);
+    const source = createSource({ name: 'FSC news', url: `${url}/news`, type: 'news' });
+    const check = async headlines => {
+        routes['/news'] = Object.entries(headlines).map(([id, headline]) => `<h3><a href="/articles/${id}">${headline}</a></h3>`).join('');
+        return (await monitor.checkSource(source)).changes.map(change => change.name);
+    };
+    try {
+        assert.deepStrictEqual(await check({ a: 'Article A', b: 'Article B', c: 'Article C' }), []);
+        assert.deepStrictEqual(await check({ d: 'Article D', a: 'Article A', b: 'Article B, updated' }), [
+            'Edited FSC news: Article B, updated',
+            'New FSC news: Article D'
+        ]);
+        assert.deepStrictEqual(await check({ d: 'Article D', b: 'Article B, updated' }), ['Removed FSC news: Article A']);
+        assert.strictEqual(monitor.getSourceStatus(source).newsCount, 2);
+        
+        routes['/news'] = '<p>No news</p>';
+        assert.match((await monitor.checkSource(source)).error.message, /^No news items found/);
+    } finally {
+        server.close();
+    }
+});
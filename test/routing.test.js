@@ -0,0 +1,44 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { monitor } = require('./helper');
+
+const channels = [
+    { id: 'email', type: 'email', name: 'Email', to: ['all@example.com'] },
+    { id: 'slack', type: 'slack', name: 'Slack' }
+];
+
+const changes = [
+    { id: 'c1', source: 'eur-lex', category: 'EUDR', name: 'EUR-Lex EUDR', priority: 'critical', diff: { added: ['Article 9 due diligence'], removed: [] } },
+    { id: 'c2', source: 'fsc-news', category: 'FSC', name: 'FSC news', priority: 'medium', diff: { added: ['New chain of custody standard'], removed: [] } }
+];
+
+const subscription = fields => ({ channel: 'email', enabled: true, categories: [], minPriority: 'low', sources: [], keywords: [], to: null, ...fields });
+
+test('routeNotifications sends every change to channels without subscriptions', () => {
+    monitor.getState().subscriptions = [];
+    const deliveries = monitor.routeNotifications(changes, channels);
+    assert.deepStrictEqual(deliveries.map(delivery => [delivery.channel.id, delivery.changes.map(change => change.id)]), [['email', ['c1', 'c2']], ['slack', ['c1', 'c2']]]);
+});
+
+test('routeNotifications delivers matching changes once per recipient list', () => {
+    monitor.getState().subscriptions = [
+        subscription({ id: 's1', categories: ['EUDR'], to: ['legal@example.com'] }),
+        subscription({ id: 's2', minPriority: 'critical', to: ['legal@example.com'] }),
+        subscription({ id: 's3', keywords: ['chain of custody'], to: ['fsc@example.com'] })
+    ];
+    const deliveries = monitor.routeNotifications(changes, channels);
+    assert.deepStrictEqual(deliveries.map(delivery => [delivery.channel.id, delivery.to, delivery.changes.map(change => change.id)]), [
+        ['email', ['legal@example.com'], ['c1']],
+        ['email', ['fsc@example.com'], ['c2']],
+        ['slack', null, ['c1', 'c2']]
+    ]);
+});
+
+test('routeNotifications keeps a channel whose subscriptions are all disabled silent', () => {
+    monitor.getState().subscriptions = [subscription({ id: 's1', enabled: false })];
+    const deliveries = monitor.routeNotifications(changes, channels);
+    assert.deepStrictEqual(deliveries.map(delivery => delivery.channel.id), ['slack']);
+    assert.strictEqual(monitor.routeNotifications(changes, channels, { test: true }).length, 2);
+});
@@ -0,0 +1,48 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { monitor, startFixture, createSource } = require('./helper');
+
+monitor.loadState();
+
+test('check intervals must be a bounded number of minutes', () => {
+    for (const intervalMinutes of [1e308, Infinity, 0.5, '60']) {
+        assert.match(monitor.validateSource({ name: 'Page', url: 'https://example.org/', category: 'FSC', intervalMinutes }).error, /^intervalMinutes must be/);
+    }
+});
+
+test('a source with an oversized stored interval is still released and scheduled after its check', async () => {
+    const { server, url } = await startFixture({ '/page': '<p>Page</p>' });
+    const source = createSource({ name: 'Rare page', url: `${url}/page` });
+    source.intervalMinutes = 1e308;
+    try {
+        await monitor.runChecks([source], 'test');
+        const { nextCheck } = monitor.getSourceStatus(source);
+        assert.ok(Date.parse(nextCheck) <= Date.now() + (monitor.CONFIG.SCHEDULE.MAX_INTERVAL_MINUTES + 1) * 60000 * 1.1);
+        await monitor.runChecks([source], 'test');
+        assert.deepStrictEqual(monitor.getState().checkHistory.map(check => check.sourcesChecked), [1, 1]);
+    } finally {
+        server.close();
+    }
+});
+
+test('overlapping check runs share one concurrency limit', async () => {
+    let active = 0, peak = 0;
+    const slowPage = (req, res) => {
+        peak = Math.max(peak, ++active);
+        setTimeout(() => {
+            active--;
+            res.writeHead(200).end('<p>Page</p>');
+        }, 50);
+    };
+    // One fixture per source: every source is on its own host, so only the concurrency limit keeps them apart
+    const fixtures = await Promise.all(Array.from({ length: 8 }, () => startFixture({ '/page': slowPage })));
+    const sources = fixtures.map(({ url }, index) => createSource({ name: `Page ${index}`, url: `${url}/page` }));
+    try {
+        await Promise.all([monitor.runChecks(sources.slice(0, 4), 'scheduled'), monitor.runChecks(sources.slice(4), 'manual')]);
+        assert.strictEqual(peak, monitor.CONFIG.SCHEDULE.CONCURRENCY);
+    } finally {
+        fixtures.forEach(({ server }) => server.close());
+    }
+});
@@ -0,0 +1,13 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { monitor } = require('./helper');
+
+test('validateSource only accepts a lookup object or null', () => {
+    const input = { name: 'Supplier certificates', url: 'https://example.org/certificates', category: 'FSC', priority: 'high', type: 'fsc-certificates', certificates: ['FSC-C000001'] };
+    assert.deepStrictEqual(monitor.validateSource({ ...input, lookup: { adapter: 'json' } }).source.lookup, { adapter: 'json' });
+    for (const lookup of [[], ['json'], 'json']) {
+        assert.match(monitor.validateSource({ ...input, lookup }).error, /^lookup must be/, JSON.stringify(lookup));
+    }
+});
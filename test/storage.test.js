@@ -0,0 +1,86 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { monitor, startFixture, createSource, startApp } = require('./helper');
+
+// A state.json as the first release wrote it: one blob with every history inline and no schema version
+const legacyState = {
+    totalChecks: 12,
+    sources: [
+        { id: 'eudr-regulation', name: 'EUDR Regulation', url: 'https://eur-lex.europa.eu/eli/reg/2023/1115/oj', category: 'EUDR', priority: 'critical' },
+        { id: 'fsc-documents', name: 'FSC Document Centre', url: 'https://connect.fsc.org/document-centre/documents', category: 'FSC', priority: 'high' },
+        { id: 'fsc-news', name: 'FSC News', url: 'https://fsc.org/en/newscentre', category: 'FSC', priority: 'medium' }
+    ],
+    changes: [{ id: 'c1', name: 'EUDR Regulation', category: 'EUDR', url: 'https://eur-lex.europa.eu/eli/reg/2023/1115/oj', timestamp: '2026-10-01T08:00:00.000Z' }],
+    checkHistory: [{ timestamp: '2026-10-01T08:00:00.000Z', changesFound: 1 }],
+    errorHistory: [],
+    digestQueue: [],
+    snapshots: { 'https://eur-lex.europa.eu/eli/reg/2023/1115/oj': 'Article 1' },
+    history: {
+        'https://eur-lex.europa.eu/eli/reg/2023/1115/oj': {
+            hash: 'abc',
+            lastChecked: '2026-10-01T08:00:00.000Z',
+            observedHashes: ['abc'],
+            baselineHashes: ['abc'],
+            lastAlertAt: '2026-10-01T08:00:00.000Z'
+        }
+    }
+};
+
+test('loadState migrates a first-release state file to the current schema', () => {
+    fs.writeFileSync(path.join(process.env.DATA_DIR, 'state.json'), JSON.stringify(legacyState));
+    monitor.loadState();
+    const state = monitor.getState();
+    
+    assert.strictEqual(state.schemaVersion, monitor.SCHEMA_VERSION);
+    assert.deepStrictEqual(state.sources.map(source => source.type), ['eurlex', 'documents', 'news', 'fsc-certificates']);
+    assert.strictEqual(state.digestQueue, undefined);
+    assert.deepStrictEqual(state.history['https://eur-lex.europa.eu/eli/reg/2023/1115/oj'], {
+        hash: 'abc',
+        lastChecked: '2026-10-01T08:00:00.000Z',
+        gate: { subjects: {}, flapping: false, lastAlertAt: '2026-10-01T08:00:00.000Z' }
+    });
+    
+    assert.deepStrictEqual(monitor.readRecords('changes').map(record => [record.event, record.id]), [['detected', 'c1']]);
+    assert.deepStrictEqual(monitor.readRecords('snapshots').map(record => [record.hash, record.text]), [['abc', 'Article 1']]);
+    assert.strictEqual(JSON.parse(fs.readFileSync(path.join(process.env.DATA_DIR, 'state.json'), 'utf8')).schemaVersion, undefined);
+    monitor.flushState();
+    assert.strictEqual(JSON.parse(fs.readFileSync(path.join(process.env.DATA_DIR, 'state.json'), 'utf8')).schemaVersion, monitor.SCHEMA_VERSION);
+});
+
+test('state keeps change summaries while the diffs stay in the journal', async t => {
+    const routes = { '/page': '<main><p>Version A</p></main>' };
+    const { server, url } = await startFixture(routes);
+    const app = await startApp();
+    t.after(() => {
+        server.close();
+        app.close();
+    });
+    const state = monitor.getState();
+    const source = createSource({ name: 'Journaled page', url: `${url}/page` });
+    await monitor.checkSource(source);
+    routes['/page'] = '<main><p>Version B</p></main>';
+    const [change] = (await monitor.checkSource(source)).changes;
+    
+    assert.strictEqual(state.changes[0].diff, undefined);
+    assert.deepStrictEqual(state.changes[0].diffSummary, { added: 1, removed: 1 });
+    monitor.flushState();
+    const saved = JSON.parse(fs.readFileSync(path.join(process.env.DATA_DIR, 'state.json'), 'utf8'));
+    assert.strictEqual(saved.changes.find(c => c.id === change.id).diff, undefined);
+    const { body } = await app.request('GET', `/api/changes/${change.id}/diff`);
+    assert.deepStrictEqual(JSON.parse(body).diff.added, ['Version B']);
+    assert.match((await app.request('GET', '/feed.atom')).body, /\+ Version B/);
+});
+
+test('loadState prunes changes older than the retention window', () => {
+    const state = monitor.getState();
+    const old = new Date(Date.now() - (monitor.CONFIG.STORAGE.RETENTION_DAYS + 1) * 86400000).toISOString();
+    state.changes.push({ ...state.changes[0], id: 'expired', timestamp: old });
+    monitor.flushState();
+    monitor.loadState();
+    assert.ok(monitor.getState().changes.length > 0);
+    assert.ok(!monitor.getState().changes.some(change => change.id === 'expired'));
+});